@@ -0,0 +1,4084 @@
+// csvDb：使用GitHub仓库中的CSV文件作为数据库
+// 油猴脚本通过@require引用，Node.js中通过require引用，两者都调用csvDbEngine(env)创建实例
+'use strict';
+
+// env.getConfig返回仓库配置 {token, owner, repo, branch}
+// env.GM_getValue、env.GM_setValue、env.GM_deleteValue用于保存ETag缓存、离线队列以及gmStorageBackend的数据
+// env.apiBaseUrl为GitHub API地址，默认为https://api.github.com，测试时指向本地服务
+// env.requestRetry覆盖请求的重试策略 {retries, baseDelay, maxDelay, maxWait}，见requestRetry
+function csvDbEngine(env) {
+    const {getConfig, GM_getValue, GM_setValue, GM_deleteValue} = env;
+    const apiBaseUrl = env.apiBaseUrl || 'https://api.github.com';
+
+    // 已发送的GitHub API请求数，用于统计每次操作的请求次数
+    let githubRequestCount = 0;
+    // 已发送的写入请求数，用于判断失败的操作是否可能已经写入
+    let githubWriteCount = 0;
+
+    // GET请求的ETag缓存，key为请求URL（包含仓库、路径和ref）
+    // 所有条目保存在内存中，较小的条目同时保存到GM存储，页面刷新后仍可发送条件请求
+    const responseCache = {
+        STORAGE_KEY: 'GITHUB_RESPONSE_CACHE',
+        MAX_ENTRIES: 200,
+        // 保存到GM存储的条目总大小上限（字符数）
+        MAX_STORED_SIZE: 512 * 1024,
+        entries: new Map(),
+        loaded: false,
+
+        async get(key) {
+            await this.load();
+            const entry = this.entries.get(key);
+            if (!entry) {
+                return null;
+            }
+            // 移到末尾，超出条目上限时先淘汰最久未使用的
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            return entry;
+        },
+
+        async set(key, etag, body) {
+            await this.load();
+            this.entries.delete(key);
+            this.entries.set(key, {etag, body, size: JSON.stringify(body).length});
+            if (this.entries.size > this.MAX_ENTRIES) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+            await this.save();
+        },
+
+        async invalidate(predicate) {
+            await this.load();
+            const keys = Array.from(this.entries.keys()).filter(predicate);
+            keys.forEach(key => this.entries.delete(key));
+            if (keys.length > 0) {
+                await this.save();
+            }
+        },
+
+        async load() {
+            if (!this.loaded) {
+                const stored = await GM_getValue(this.STORAGE_KEY, {});
+                Object.entries(stored).forEach(([key, entry]) => this.entries.set(key, entry));
+                this.loaded = true;
+            }
+        },
+
+        // 从最近使用的条目开始保存，直到超过大小上限
+        async save() {
+            const stored = {};
+            let total = 0;
+            for (const [key, entry] of Array.from(this.entries).reverse()) {
+                if (total + entry.size > this.MAX_STORED_SIZE) {
+                    continue;
+                }
+                stored[key] = entry;
+                total += entry.size;
+            }
+            await GM_setValue(this.STORAGE_KEY, stored);
+        }
+    };
+
+    // GitHub API限流状态，由每次响应的X-RateLimit-*以及Retry-After头更新
+    const rateLimit = {
+        limit: null,
+        remaining: null,
+        // 配额重置时间（毫秒时间戳）
+        reset: null,
+        // Retry-After要求的最早重试时间（毫秒时间戳）
+        retryAfter: 0,
+        // 剩余请求数低于该值时按剩余时间平均分配请求间隔
+        LOW_REMAINING: 50,
+
+        update(headers) {
+            const remaining = headers.get('X-RateLimit-Remaining');
+            if (remaining !== null) {
+                this.remaining = Number(remaining);
+                this.limit = Number(headers.get('X-RateLimit-Limit')) || this.limit;
+                this.reset = Number(headers.get('X-RateLimit-Reset')) * 1000 || this.reset;
+            }
+            const retryAfter = headers.get('Retry-After');
+            if (retryAfter !== null) {
+                this.retryAfter = Date.now() + Number(retryAfter) * 1000;
+            }
+        },
+
+        // 发送请求前必须等待的毫秒数，配额已用完时为到重置时间的间隔
+        delay() {
+            const now = Date.now();
+            let delay = Math.max(0, this.retryAfter - now);
+            if (this.remaining !== null && this.remaining <= 0 && this.reset > now) {
+                delay = Math.max(delay, this.reset - now);
+            }
+            return delay;
+        },
+
+        // 剩余配额较少时的请求间隔，配额仍有剩余，只放慢请求而不拒绝
+        pacing() {
+            const now = Date.now();
+            if (this.remaining === null || this.remaining <= 0 || this.remaining >= this.LOW_REMAINING || this.reset <= now) {
+                return 0;
+            }
+            return Math.floor((this.reset - now) / this.remaining);
+        },
+
+        isRateLimited(response) {
+            return response.status === 429
+                || (response.status === 403 && (response.headers.get('X-RateLimit-Remaining') === '0' || response.headers.get('Retry-After') !== null));
+        },
+
+        snapshot() {
+            return {limit: this.limit, remaining: this.remaining, reset: this.reset};
+        }
+    };
+
+    // 请求重试策略，env.requestRetry可以覆盖其中的值
+    // 等待限流或退避的时间超过maxWait时不再等待，直接抛出错误
+    const requestRetry = {
+        retries: 3,
+        baseDelay: 1000,
+        maxDelay: 30 * 1000,
+        maxWait: 60 * 1000,
+        ...env.requestRetry
+    };
+
+    // 第attempt次重试前的退避时间，指数增长并在[50%, 100%]之间随机抖动
+    function backoffDelay(attempt) {
+        const delay = Math.min(requestRetry.maxDelay, requestRetry.baseDelay * 2 ** attempt);
+        return Math.round(delay * (0.5 + Math.random() / 2));
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function rateLimitError(wait) {
+        return {
+            status: 403,
+            message: `GitHub API请求次数已用完，将在${new Date(Date.now() + wait).toLocaleTimeString()}后恢复`,
+            rateLimit: rateLimit.snapshot()
+        };
+    }
+
+    // GitHub API请求封装，GET请求默认带上缓存的ETag，304时直接返回缓存的响应
+    // cache为false时不使用也不写入缓存
+    // 接近限流时延后发送请求，被限流的请求在等待后重试；GET请求在网络错误和5xx时按退避时间重试
+    // 写入请求在网络错误或5xx时可能已经生效，不自动重试，由调用方（如离线队列）处理
+    async function githubApiRequest(method, endpoint, data = null, {cache = true} = {}) {
+        const config = await getConfig();
+
+        if (!config.token || !config.owner || !config.repo) {
+            throw new Error('请先配置GitHub仓库信息');
+        }
+
+        const url = `${apiBaseUrl}/repos/${config.owner}/${config.repo}${endpoint}`;
+        const headers = {
+            "Authorization": `Bearer ${config.token}`,
+            "Accept": "application/vnd.github.v3+json",
+            "Content-Type": "application/json"
+        };
+
+        const useCache = cache && method === 'GET';
+        const cached = useCache ? await responseCache.get(url) : null;
+        if (cached) {
+            headers["If-None-Match"] = cached.etag;
+        }
+
+        const options = {
+            method: method,
+            headers: headers,
+            body: data ? JSON.stringify(data) : null,
+            // 由ETag缓存负责复用响应，避免浏览器缓存返回过期内容
+            cache: 'no-store'
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            const wait = rateLimit.delay();
+            if (wait > requestRetry.maxWait) {
+                throw rateLimitError(wait);
+            }
+            // 按剩余时间平均分配的间隔可能很长，最多等待maxWait
+            const delay = Math.max(wait, Math.min(rateLimit.pacing(), requestRetry.maxWait));
+            if (delay > 0) {
+                await sleep(delay);
+            }
+
+            let response;
+            try {
+                githubRequestCount++;
+                if (method !== 'GET') {
+                    githubWriteCount++;
+                }
+                response = await fetch(url, options);
+            } catch (error) {
+                if (method === 'GET' && attempt < requestRetry.retries) {
+                    await sleep(backoffDelay(attempt));
+                    continue;
+                }
+                // 网络错误
+                throw {
+                    status: 0,
+                    message: '网络请求失败',
+                    error: error
+                };
+            }
+            rateLimit.update(response.headers);
+
+            if (response.status === 304 && cached) {
+                return cached.body;
+            }
+
+            // 处理非2xx响应
+            if (!response.ok) {
+                const rateLimited = rateLimit.isRateLimited(response);
+                if (attempt < requestRetry.retries) {
+                    // 被限流的请求没有执行，所有方法都可以重试
+                    if (rateLimited && rateLimit.delay() <= requestRetry.maxWait) {
+                        // 没有返回重置时间时按退避时间等待
+                        if (rateLimit.delay() === 0) {
+                            await sleep(backoffDelay(attempt));
+                        }
+                        continue;
+                    }
+                    if (!rateLimited && method === 'GET' && response.status >= 500) {
+                        await sleep(backoffDelay(attempt));
+                        continue;
+                    }
+                }
+                let errorBody;
+                try {
+                    errorBody = await response.json();
+                } catch (e) {
+                    errorBody = {message: `API请求失败: ${response.status} ${response.statusText}`};
+                }
+                throw {
+                    status: response.status,
+                    message: errorBody.message || 'API请求失败',
+                    response: errorBody,
+                    ...(rateLimited ? {rateLimit: rateLimit.snapshot()} : {})
+                };
+            }
+
+            // 处理204 No Content等空响应
+            if (response.status === 204 || response.headers.get('Content-Length') === '0') {
+                return null;
+            }
+
+            const body = await response.json();
+            const etag = response.headers.get('ETag');
+            if (useCache && etag) {
+                await responseCache.set(url, etag, body);
+            }
+            return body;
+        }
+    }
+
+    // 查询当前的API配额，/rate_limit接口本身不消耗配额
+    async function getRateLimit() {
+        const config = await getConfig();
+        if (!config.token) {
+            throw new Error('请先配置GitHub仓库信息');
+        }
+        try {
+            const response = await fetch(`${apiBaseUrl}/rate_limit`, {
+                headers: {
+                    "Authorization": `Bearer ${config.token}`,
+                    "Accept": "application/vnd.github.v3+json"
+                },
+                cache: 'no-store'
+            });
+            if (response.ok) {
+                const {core} = (await response.json()).resources;
+                Object.assign(rateLimit, {limit: core.limit, remaining: core.remaining, reset: core.reset * 1000});
+            }
+        } catch (error) {
+            // 查询失败时返回最近一次响应中的配额
+        }
+        return rateLimit.snapshot();
+    }
+
+    // 写入文件后使该文件以及所在目录的缓存失效
+    async function invalidateCache(path) {
+        const config = await getConfig();
+        const prefix = `${apiBaseUrl}/repos/${config.owner}/${config.repo}/contents/`;
+        const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+        await responseCache.invalidate(key => {
+            return key.startsWith(`${prefix}${encodeURIComponent(path)}?`) || key.startsWith(`${prefix}${encodeURIComponent(dir)}?`);
+        });
+    }
+
+    // UTF-8内容与Base64互转，分块处理以支持较大的文件
+    function encodeBase64(content) {
+        const bytes = new TextEncoder().encode(content);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // 计算内容的Git blob SHA，与Contents API返回的sha一致
+    async function gitBlobSha(content) {
+        const bytes = new TextEncoder().encode(content);
+        const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+        const data = new Uint8Array(header.length + bytes.length);
+        data.set(header);
+        data.set(bytes, header.length);
+        // 非HTTPS页面没有crypto.subtle，改用JS实现
+        const digest = typeof crypto !== 'undefined' && crypto.subtle
+            ? new Uint8Array(await crypto.subtle.digest('SHA-1', data))
+            : sha1(data);
+        return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // SHA-1摘要，返回20字节的Uint8Array
+    function sha1(data) {
+        const length = Math.ceil((data.length + 9) / 64) * 64;
+        const padded = new Uint8Array(length);
+        padded.set(data);
+        padded[data.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(length - 8, Math.floor(data.length / 0x20000000));
+        view.setUint32(length - 4, (data.length * 8) >>> 0);
+
+        const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+        const w = new Uint32Array(80);
+        const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 80; i++) {
+                w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+            }
+            let [a, b, c, d, e] = h;
+            for (let i = 0; i < 80; i++) {
+                let f, k;
+                if (i < 20) {
+                    f = (b & c) | (~b & d);
+                    k = 0x5A827999;
+                } else if (i < 40) {
+                    f = b ^ c ^ d;
+                    k = 0x6ED9EBA1;
+                } else if (i < 60) {
+                    f = (b & c) | (b & d) | (c & d);
+                    k = 0x8F1BBCDC;
+                } else {
+                    f = b ^ c ^ d;
+                    k = 0xCA62C1D6;
+                }
+                const temp = (rotl(a, 5) + f + e + k + w[i]) >>> 0;
+                e = d;
+                d = c;
+                c = rotl(b, 30) >>> 0;
+                b = a;
+                a = temp;
+            }
+            h[0] = (h[0] + a) >>> 0;
+            h[1] = (h[1] + b) >>> 0;
+            h[2] = (h[2] + c) >>> 0;
+            h[3] = (h[3] + d) >>> 0;
+            h[4] = (h[4] + e) >>> 0;
+        }
+        const digest = new Uint8Array(20);
+        const digestView = new DataView(digest.buffer);
+        h.forEach((value, i) => digestView.setUint32(i * 4, value));
+        return digest;
+    }
+
+    function decodeBase64(base64) {
+        const binary = atob(base64.replace(/\s/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new TextDecoder('utf-8', {ignoreBOM: true}).decode(bytes);
+    }
+
+    // 1. 创建文件
+    async function createFile(path, content, message = "Created via Tampermonkey") {
+        const encodedContent = encodeBase64(content);
+        const response = await githubApiRequest('PUT', `/contents/${encodeURIComponent(path)}`, {
+            message,
+            content: encodedContent,
+            branch: (await getConfig()).branch
+        });
+        await invalidateCache(path);
+        return response;
+    }
+
+    // 2. 更新文件，传入sha时只在远端仍是该版本时更新，否则返回409
+    async function updateFile(path, content, message = "Updated via Tampermonkey", sha = null) {
+        // 没有传入sha时先获取文件当前SHA
+        if (!sha) {
+            sha = (await getFileInfo(path)).sha;
+        }
+        const encodedContent = encodeBase64(content);
+
+        const response = await githubApiRequest('PUT', `/contents/${encodeURIComponent(path)}`, {
+            message,
+            content: encodedContent,
+            sha,
+            branch: (await getConfig()).branch
+        });
+        await invalidateCache(path);
+        return response;
+    }
+
+    // 3. 删除文件
+    async function deleteFile(path, message = "Deleted via Tampermonkey") {
+        // 先获取文件当前SHA
+        const fileInfo = await getFileInfo(path);
+
+        const response = await githubApiRequest('DELETE', `/contents/${encodeURIComponent(path)}`, {
+            message,
+            sha: fileInfo.sha,
+            branch: (await getConfig()).branch
+        });
+        await invalidateCache(path);
+        return response;
+    }
+
+    // 4. 获取文件信息（不包含内容），ref默认为配置的分支
+    // 默认通过ETag条件请求复用缓存，options.fresh为true时跳过缓存
+    async function getFileInfo(path, ref = null, options = {}) {
+        ref = ref || (await getConfig()).branch;
+        if (options.fresh) {
+            // 添加随机查询参数，强制绕过缓存
+            const cacheBuster = Date.now();
+            return githubApiRequest('GET',
+                `/contents/${encodeURIComponent(path)}?ref=${ref}&_=${cacheBuster}`, null, {cache: false});
+        }
+        return githubApiRequest('GET', `/contents/${encodeURIComponent(path)}?ref=${ref}`);
+    }
+
+    // 5. 获取文件内容
+    async function getFileContent(path) {
+        return (await getFile(path)).content;
+    }
+
+    // 获取文件内容以及对应的SHA
+    async function getFile(path, ref = null, options = {}) {
+        let fileInfo = await getFileInfo(path, ref, options);
+        // 超过1MB的文件Contents API不返回内容，改为通过Git Blobs API获取
+        if (fileInfo.encoding === 'none' || (!fileInfo.content && fileInfo.size > 0)) {
+            fileInfo = await getBlob(fileInfo.sha);
+        }
+        const content = fileInfo.encoding === 'base64'
+            ? decodeBase64(fileInfo.content)
+            : fileInfo.content;
+        return {
+            content,
+            sha: fileInfo.sha
+        };
+    }
+
+    // 通过Git Blobs API获取文件内容，支持最大100MB的文件
+    async function getBlob(sha) {
+        return githubApiRequest('GET', `/git/blobs/${sha}`);
+    }
+
+    // 6. 获取仓库所有文件列表（递归）
+    async function getAllFiles(path = '', files = []) {
+        const contents = await githubApiRequest('GET', `/contents/${encodeURIComponent(path)}?ref=${(await getConfig()).branch}`);
+
+        for (const item of contents) {
+            if (item.type === 'file') {
+                files.push({
+                    path: item.path,
+                    size: item.size,
+                    sha: item.sha
+                });
+            } else if (item.type === 'dir') {
+                await getAllFiles(item.path, files);
+            }
+        }
+
+        return files;
+    }
+
+    // 7. 获取目录下的文件列表（不递归）
+    async function listFiles(path, ref = null, options = {}) {
+        ref = ref || (await getConfig()).branch;
+        const contents = await githubApiRequest('GET', `/contents/${encodeURIComponent(path)}?ref=${ref}`, null, {cache: !options.fresh});
+        return contents
+            .filter(item => item.type === 'file')
+            .map(item => ({
+                name: item.name,
+                path: item.path,
+                size: item.size,
+                sha: item.sha
+            }));
+    }
+
+    // 将commit SHA、分支或标签名解析为commit SHA，传入时间（Date、时间戳或ISO日期字符串）时取分支上该时间及之前的最近一次commit
+    async function resolveCommit(target) {
+        if (target instanceof Date || typeof target === 'number' || (typeof target === 'string' && /^\d{4}-\d{2}-\d{2}/.test(target))) {
+            const date = new Date(target);
+            if (isNaN(date.getTime())) {
+                throw new CsvDbError(`Invalid date: ${target}`);
+            }
+            const branch = (await getConfig()).branch;
+            const commits = await githubApiRequest('GET', `/commits?sha=${encodeURIComponent(branch)}&until=${date.toISOString()}&per_page=1`);
+            if (commits.length === 0) {
+                throw new CsvDbError(`No commit on branch "${branch}" before ${date.toISOString()}`);
+            }
+            return commits[0].sha;
+        }
+        if (typeof target !== 'string' || target.trim() === '') {
+            throw new CsvDbError("Commit must be a SHA, a ref name or a date");
+        }
+        try {
+            return (await githubApiRequest('GET', `/commits/${encodeURIComponent(target)}`)).sha;
+        } catch (error) {
+            if (error.status === 404 || error.status === 422) {
+                throw new CsvDbError(`Commit "${target}" not found`);
+            }
+            throw error;
+        }
+    }
+
+    // 只读的历史快照，实现存储后端的读取接口，所有读取都基于指定的commit
+    function githubSnapshot(commitSha) {
+        const readOnly = async () => {
+            throw new CsvDbError(`Snapshot at ${commitSha} is read-only`);
+        };
+        return {
+            read: path => getFile(path, commitSha),
+            stat: path => getFileInfo(path, commitSha),
+            create: readOnly,
+            write: readOnly,
+            delete: readOnly,
+            list: path => listFiles(path, commitSha),
+            transaction() {
+                throw new CsvDbError("Transactions are not supported on snapshots");
+            }
+        };
+    }
+
+    // 事务暂存区，实现与存储后端相同的接口（见githubBackend），读取基于事务开始时分支head的快照
+    // commit时通过Git Data API（blobs、tree、commit、ref）将所有修改作为一个commit提交
+    function gitTransaction() {
+        // path -> 新内容，null表示删除
+        const staged = new Map();
+        // path -> 快照中是否存在
+        const baseExists = new Map();
+        let base = null;
+
+        async function begin() {
+            const branch = (await getConfig()).branch;
+            const ref = await githubApiRequest('GET', `/git/ref/heads/${branch}`);
+            const commit = await githubApiRequest('GET', `/git/commits/${ref.object.sha}`);
+            base = {branch, commitSha: ref.object.sha, treeSha: commit.tree.sha};
+        }
+
+        async function exists(path) {
+            if (staged.has(path)) {
+                return staged.get(path) !== null;
+            }
+            if (!baseExists.has(path)) {
+                try {
+                    await getFileInfo(path, base.commitSha);
+                    baseExists.set(path, true);
+                } catch (error) {
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                    baseExists.set(path, false);
+                }
+            }
+            return baseExists.get(path);
+        }
+
+        async function stage(path, content) {
+            staged.set(path, content);
+            return {sha: await gitBlobSha(content)};
+        }
+
+        const store = {
+            async read(path) {
+                if (staged.has(path)) {
+                    const content = staged.get(path);
+                    if (content === null) {
+                        throw storageNotFound(path);
+                    }
+                    return {content, sha: await gitBlobSha(content)};
+                }
+                const file = await getFile(path, base.commitSha);
+                baseExists.set(path, true);
+                return file;
+            },
+            async stat(path) {
+                if (staged.has(path)) {
+                    const {content, sha} = await store.read(path);
+                    return {path, sha, size: new TextEncoder().encode(content).length};
+                }
+                return getFileInfo(path, base.commitSha);
+            },
+            async create(path, content) {
+                if (await exists(path)) {
+                    throw storageExists(path);
+                }
+                return stage(path, content);
+            },
+            // 暂存区中的写入总是基于快照，sha只在commit时由分支更新检查
+            async write(path, content) {
+                if (!await exists(path)) {
+                    throw storageNotFound(path);
+                }
+                return stage(path, content);
+            },
+            async delete(path) {
+                if (!await exists(path)) {
+                    throw storageNotFound(path);
+                }
+                if (baseExists.get(path)) {
+                    staged.set(path, null);
+                } else {
+                    staged.delete(path);
+                }
+                return null;
+            },
+            async list(path) {
+                let files = [];
+                try {
+                    files = await listFiles(path, base.commitSha);
+                } catch (error) {
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                }
+                const result = new Map(files.map(file => [file.path, file]));
+                for (const [filePath, content] of staged) {
+                    const name = filePath.slice(path.length + 1);
+                    if (!filePath.startsWith(`${path}/`) || name.includes('/')) {
+                        continue;
+                    }
+                    if (content === null) {
+                        result.delete(filePath);
+                    } else {
+                        result.set(filePath, {
+                            name,
+                            path: filePath,
+                            size: new TextEncoder().encode(content).length,
+                            sha: await gitBlobSha(content)
+                        });
+                    }
+                }
+                return Array.from(result.values());
+            },
+            transaction() {
+                throw new CsvDbError("Nested transactions are not supported");
+            }
+        };
+
+        // 返回修改过的文件路径，没有修改时不创建commit
+        async function commit(message) {
+            if (staged.size === 0) {
+                return [];
+            }
+            const tree = [];
+            for (const [path, content] of staged) {
+                if (content === null) {
+                    tree.push({path, mode: '100644', type: 'blob', sha: null});
+                    continue;
+                }
+                const blob = await githubApiRequest('POST', '/git/blobs', {content: encodeBase64(content), encoding: 'base64'});
+                tree.push({path, mode: '100644', type: 'blob', sha: blob.sha});
+            }
+            const newTree = await githubApiRequest('POST', '/git/trees', {base_tree: base.treeSha, tree});
+            const newCommit = await githubApiRequest('POST', '/git/commits', {
+                message,
+                tree: newTree.sha,
+                parents: [base.commitSha]
+            });
+            try {
+                // 非强制更新，分支head已不是事务开始时的commit则会被拒绝
+                await githubApiRequest('PATCH', `/git/refs/heads/${base.branch}`, {sha: newCommit.sha, force: false});
+            } catch (error) {
+                if (error.status === 409 || error.status === 422) {
+                    throw new CsvConflictError(`refs/heads/${base.branch}`, `Branch "${base.branch}" was updated since the transaction started`);
+                }
+                throw error;
+            }
+            for (const path of staged.keys()) {
+                await invalidateCache(path);
+            }
+            return Array.from(staged.keys());
+        }
+
+        return {
+            begin,
+            commit,
+            store
+        };
+    }
+
+    // CSV方言: 分隔符、引号、转义字符、换行符以及是否写入UTF-8 BOM，文件内容只支持UTF-8编码
+    // escape与quote相同时引号内的引号写作两个引号（RFC 4180），否则写作escape加引号，escape本身写作两个escape
+    class CsvDialect {
+        static DEFAULT = Object.freeze({delimiter: ',', quote: '"', escape: '"', lineEnding: '\n', bom: false});
+
+        static PRESETS = {
+            csv: {delimiter: ','},
+            tsv: {delimiter: '\t'},
+            // Excel在使用逗号作为小数点的地区保存的CSV
+            semicolon: {delimiter: ';'}
+        };
+
+        // 自动识别时候选的分隔符
+        static DELIMITERS = [',', ';', '\t', '|'];
+
+        // dialect为预设名或部分字段，返回未指定字段使用默认值的完整方言
+        static of(dialect = null) {
+            const result = {...CsvDialect.DEFAULT, ...CsvDialect.options(dialect)};
+            ['delimiter', 'quote', 'escape'].forEach(key => {
+                if (typeof result[key] !== 'string' || result[key].length !== 1 || result[key] === '\r' || result[key] === '\n') {
+                    throw new CsvDbError(`Dialect ${key} must be a single character other than a line break`);
+                }
+            });
+            if (result.delimiter === result.quote || result.delimiter === result.escape) {
+                throw new CsvDbError("Dialect delimiter must differ from quote and escape");
+            }
+            if (result.lineEnding !== '\n' && result.lineEnding !== '\r\n') {
+                throw new CsvDbError("Dialect lineEnding must be \"\\n\" or \"\\r\\n\"");
+            }
+            return Object.freeze(result);
+        }
+
+        static options(dialect) {
+            if (dialect == null) {
+                return {};
+            }
+            if (typeof dialect === 'string') {
+                if (!CsvDialect.PRESETS.hasOwnProperty(dialect)) {
+                    throw new CsvDbError(`Unknown dialect "${dialect}"`);
+                }
+                return CsvDialect.PRESETS[dialect];
+            }
+            return dialect;
+        }
+
+        // 根据已有文件内容识别BOM、换行符和分隔符，dialect中指定的字段优先
+        // 列名中可能包含其他候选字符，只有表头与第一条数据的字段数一致时才使用逗号以外的分隔符
+        static detect(content, dialect = null) {
+            const options = CsvDialect.options(dialect);
+            const detected = {bom: content.charCodeAt(0) === 0xFEFF};
+            const quote = options.quote || CsvDialect.DEFAULT.quote;
+            const escape = options.escape || quote;
+            // 依次统计表头和第一条数据中各候选分隔符的个数
+            const records = [];
+            let counts = null;
+            let inQuotes = false;
+            for (let i = detected.bom ? 1 : 0; i < content.length && records.length < 2; i++) {
+                const char = content[i];
+                if (counts === null) {
+                    counts = new Map(CsvDialect.DELIMITERS.map(delimiter => [delimiter, 0]));
+                }
+                if (inQuotes && char === escape && escape !== quote) {
+                    i++;
+                } else if (char === quote) {
+                    inQuotes = !inQuotes;
+                } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                    if (records.length === 0) {
+                        detected.lineEnding = content.startsWith('\r\n', i) ? '\r\n' : '\n';
+                    }
+                    if (content.startsWith('\r\n', i)) {
+                        i++;
+                    }
+                    records.push(counts);
+                    counts = null;
+                } else if (!inQuotes && counts.has(char)) {
+                    counts.set(char, counts.get(char) + 1);
+                }
+            }
+            if (counts !== null && records.length < 2) {
+                records.push(counts);
+            }
+            const [header, data] = records;
+            if (header) {
+                const agrees = delimiter => header.get(delimiter) > 0 && (!data || data.get(delimiter) === header.get(delimiter));
+                if (!agrees(',')) {
+                    const candidates = CsvDialect.DELIMITERS.filter(delimiter => delimiter !== ',' && agrees(delimiter));
+                    if (candidates.length > 0 && !(header.get(',') > 0 && !data)) {
+                        detected.delimiter = candidates.reduce((a, b) => header.get(b) > header.get(a) ? b : a);
+                    }
+                }
+            }
+            return CsvDialect.of({...detected, ...options});
+        }
+
+        // 按方言的换行符连接各行，需要时在开头加上BOM
+        static join(lines, dialect) {
+            return (dialect.bom ? '\uFEFF' : '') + lines.join(dialect.lineEnding);
+        }
+    }
+
+    class CsvUtils {
+        // 按RFC 4180解析整个CSV内容，支持引号内换行、CRLF、双引号转义以及BOM，分隔符、引号和转义字符由dialect指定
+        // 传入offsets数组时会依次写入每条记录在content中的[起始位置, 结束位置]
+        static parseCsv(content, offsets = null, dialect = CsvDialect.DEFAULT) {
+            const {delimiter, quote, escape} = dialect;
+            const records = [];
+            let record = [];
+            let field = '';
+            let inQuotes = false;
+            let quoted = false;
+            let i = content.charCodeAt(0) === 0xFEFF ? 1 : 0;
+            let recordStart = i;
+            let recordEnd = i;
+
+            const endField = () => {
+                record.push(field);
+                field = '';
+                quoted = false;
+            };
+            const endRecord = () => {
+                // 跳过空行
+                if (record.length > 0 || field !== '' || quoted) {
+                    endField();
+                    records.push(record);
+                    if (offsets) {
+                        offsets.push([recordStart, recordEnd]);
+                    }
+                }
+                record = [];
+                recordStart = i;
+            };
+
+            while (i < content.length) {
+                const char = content[i];
+
+                if (inQuotes) {
+                    if (char === escape && escape !== quote && i + 1 < content.length) {
+                        field += content[i + 1];
+                        i += 2;
+                    } else if (char === quote && content[i + 1] === quote) {
+                        field += quote;
+                        i += 2;
+                    } else if (char === quote) {
+                        inQuotes = false;
+                        i++;
+                    } else {
+                        field += char;
+                        i++;
+                    }
+                } else if (char === quote && field === '' && !quoted) {
+                    inQuotes = true;
+                    quoted = true;
+                    i++;
+                } else if (char === delimiter) {
+                    endField();
+                    i++;
+                } else if (char === '\r' || char === '\n') {
+                    recordEnd = i;
+                    i += (char === '\r' && content[i + 1] === '\n') ? 2 : 1;
+                    endRecord();
+                } else {
+                    field += char;
+                    i++;
+                }
+            }
+            if (inQuotes) {
+                throw new Error("csv contains unclosed quoted field");
+            }
+            recordEnd = i;
+            endRecord();
+            return records;
+        }
+
+        // 返回表头之后的内容
+        static skipHeader(content, dialect = CsvDialect.DEFAULT) {
+            const {quote, escape} = dialect;
+            let inQuotes = false;
+            for (let i = 0; i < content.length; i++) {
+                const char = content[i];
+                if (inQuotes && char === escape && escape !== quote) {
+                    i++;
+                } else if (char === quote) {
+                    inQuotes = !inQuotes;
+                } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                    return content.slice(i);
+                }
+            }
+            return '';
+        }
+
+        static escapeCsvField(field, dialect = CsvDialect.DEFAULT) {
+            if (field == null) return '';
+            if (typeof field !== 'string') field = String(field);
+
+            const {delimiter, quote, escape} = dialect;
+            if (field.includes(delimiter) || field.includes(quote) || field.includes(escape) || field.includes('\n') || field.includes('\r')) {
+                const escaped = escape === quote
+                    ? field.split(quote).join(quote + quote)
+                    : field.split(escape).join(escape + escape).split(quote).join(escape + quote);
+                return quote + escaped + quote;
+            }
+            return field;
+        }
+
+        // 列名必须是非空且不重复的字符串，写入时与数据一样转义
+        static checkHeaders(headers) {
+            if (!Array.isArray(headers) || headers.length === 0) {
+                throw new CsvDbError("Headers must be a non-empty array");
+            }
+            const names = new Set();
+            headers.forEach((header, index) => {
+                if (typeof header !== 'string' || header.trim() === '') {
+                    throw new CsvDbError(`Column name at position ${index + 1} must be a non-empty string`);
+                }
+                if (names.has(header)) {
+                    throw new CsvDbError(`Duplicate column name "${header}"`);
+                }
+                names.add(header);
+            });
+        }
+
+        static toCsvLine(values, dialect = CsvDialect.DEFAULT) {
+            // 单列空值需要加引号，否则会被当作空行跳过
+            if (values.length === 1 && CsvUtils.escapeCsvField(values[0], dialect) === '') {
+                return dialect.quote + dialect.quote;
+            }
+            return values.map(v => CsvUtils.escapeCsvField(v, dialect)).join(dialect.delimiter);
+        }
+
+        // 严格解析数字，"12abc"之类的值返回NaN
+        static toNumber(value) {
+            if (typeof value === 'number') return value;
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            if (value instanceof Date) return value.getTime();
+            const text = String(value).trim();
+            return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text) ? Number(text) : NaN;
+        }
+
+        // 将值转换为可比较的字符串形式，用于等值判断
+        static normalizeValue(value) {
+            if (value === null || value === undefined) return null;
+            if (value instanceof Date) return value.toISOString();
+            if (typeof value === 'object') return JSON.stringify(value);
+            return String(value);
+        }
+
+        // collation: auto 数字优先否则自然排序, numeric 按数字, lexical 按字符编码, locale 按语言环境
+        static compareValue(a, b, collation = 'auto', locale = undefined) {
+            const numA = CsvUtils.toNumber(a);
+            const numB = CsvUtils.toNumber(b);
+            const strA = CsvUtils.normalizeValue(a);
+            const strB = CsvUtils.normalizeValue(b);
+            switch (collation) {
+                case 'auto':
+                    if (!isNaN(numA) && !isNaN(numB)) {
+                        return numA - numB;
+                    }
+                    return strA.localeCompare(strB, undefined, {numeric: true});
+                case 'numeric':
+                    // 非数字排在数字之后
+                    if (isNaN(numA) || isNaN(numB)) {
+                        return (isNaN(numA) ? 1 : 0) - (isNaN(numB) ? 1 : 0) || CsvUtils.compareValue(a, b, 'lexical');
+                    }
+                    return numA - numB;
+                case 'lexical':
+                    return strA < strB ? -1 : (strA > strB ? 1 : 0);
+                case 'locale':
+                    return strA.localeCompare(strB, locale);
+                default:
+                    throw new Error(`Unknown collation: ${collation}`);
+            }
+        }
+
+        static isEmptyValue(value) {
+            return value === null || value === undefined || value === '';
+        }
+
+        static randomBytes(length) {
+            const bytes = new Uint8Array(length);
+            if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+                crypto.getRandomValues(bytes);
+            } else {
+                for (let i = 0; i < length; i++) {
+                    bytes[i] = Math.floor(Math.random() * 256);
+                }
+            }
+            return bytes;
+        }
+
+        static uuid() {
+            const bytes = CsvUtils.randomBytes(16);
+            bytes[6] = (bytes[6] & 0x0f) | 0x40;
+            bytes[8] = (bytes[8] & 0x3f) | 0x80;
+            const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+            return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+        }
+
+        // 按时间排序的ULID: 10位毫秒时间戳 + 16位随机数，Crockford Base32编码
+        static ulid(time = Date.now()) {
+            const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+            let timePart = '';
+            for (let i = 0; i < 10; i++) {
+                timePart = alphabet[time % 32] + timePart;
+                time = Math.floor(time / 32);
+            }
+            const randomPart = Array.from(CsvUtils.randomBytes(16), b => alphabet[b % 32]).join('');
+            return timePart + randomPart;
+        }
+    }
+
+    class CsvDbError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = this.constructor.name;
+        }
+    }
+
+    // 字段值与列类型不匹配
+    class CsvTypeError extends CsvDbError {
+        constructor(field, type, value) {
+            super(`Value ${JSON.stringify(CsvUtils.normalizeValue(value))} of column "${field}" is not a valid ${type}`);
+            this.field = field;
+            this.type = type;
+            this.value = value;
+        }
+    }
+
+    // 违反主键或唯一约束
+    class CsvConstraintError extends CsvDbError {
+        constructor(constraint, fields, values, message) {
+            const key = `${constraint} (${fields.join(', ')})`;
+            super(message || `Duplicate value (${values.map(v => JSON.stringify(v)).join(', ')}) for ${key}`);
+            this.constraint = constraint;
+            this.fields = fields;
+            this.values = values;
+        }
+    }
+
+    // SQL语句解析失败，position为出错位置在语句中的偏移
+    class CsvSqlError extends CsvDbError {
+        constructor(message, sql, position) {
+            const before = sql.slice(0, position).split('\n');
+            const line = before.length;
+            const column = before[before.length - 1].length + 1;
+            super(`${message} at line ${line}, column ${column}`);
+            this.position = position;
+            this.line = line;
+            this.column = column;
+        }
+    }
+
+    // 网络不可用，修改已写入离线队列，entry为队列中的条目
+    class CsvQueuedError extends CsvDbError {
+        constructor(entry) {
+            super(`Operation ${entry.operation} on table "${entry.args[0].value}" was queued for later synchronization`);
+            this.entry = entry;
+        }
+    }
+
+    // 写入时远端内容已被其他提交修改
+    class CsvConflictError extends CsvDbError {
+        constructor(path, message) {
+            super(message || `File "${path}" was modified concurrently`);
+            this.path = path;
+        }
+    }
+
+    // 列类型定义，encode将JS值转为CSV文本，decode将CSV文本转为JS值，不匹配时返回undefined
+    const CsvColumnTypes = {
+        string: {
+            encode: value => String(value),
+            decode: text => text
+        },
+        int: {
+            encode: value => {
+                const num = CsvUtils.toNumber(value);
+                return Number.isSafeInteger(num) && typeof value !== 'boolean' ? String(num) : undefined;
+            },
+            decode: text => {
+                const num = CsvUtils.toNumber(text);
+                return Number.isSafeInteger(num) ? num : undefined;
+            }
+        },
+        float: {
+            encode: value => {
+                const num = CsvUtils.toNumber(value);
+                return Number.isFinite(num) && typeof value !== 'boolean' ? String(num) : undefined;
+            },
+            decode: text => {
+                const num = CsvUtils.toNumber(text);
+                return Number.isFinite(num) ? num : undefined;
+            }
+        },
+        boolean: {
+            encode: value => {
+                const bool = CsvColumnTypes.boolean.decode(String(value));
+                return bool === undefined ? undefined : String(bool);
+            },
+            decode: text => {
+                const lower = text.trim().toLowerCase();
+                if (lower === 'true' || lower === '1') return true;
+                if (lower === 'false' || lower === '0') return false;
+                return undefined;
+            }
+        },
+        date: {
+            encode: value => {
+                const date = value instanceof Date ? value : new Date(typeof value === 'number' ? value : String(value));
+                return isNaN(date.getTime()) ? undefined : date.toISOString();
+            },
+            decode: text => {
+                const date = new Date(text);
+                return isNaN(date.getTime()) ? undefined : date;
+            }
+        },
+        timestamp: {
+            encode: value => {
+                const time = CsvColumnTypes.timestamp.decode(value instanceof Date ? String(value.getTime()) : String(value));
+                return time === undefined ? undefined : String(time);
+            },
+            decode: text => {
+                const num = CsvUtils.toNumber(text);
+                const time = isNaN(num) ? Date.parse(text) : num;
+                return Number.isSafeInteger(time) ? time : undefined;
+            }
+        },
+        json: {
+            encode: value => {
+                try {
+                    return JSON.stringify(value);
+                } catch (e) {
+                    return undefined;
+                }
+            },
+            decode: text => {
+                try {
+                    return JSON.parse(text);
+                } catch (e) {
+                    return undefined;
+                }
+            }
+        }
+    };
+
+    class CsvCodec {
+        static checkTypes(headers, types) {
+            Object.entries(types).forEach(([field, type]) => {
+                if (!headers.includes(field)) {
+                    throw new CsvDbError(`Column "${field}" in schema does not exist in headers`);
+                }
+                if (!CsvColumnTypes.hasOwnProperty(type)) {
+                    throw new CsvDbError(`Unknown type "${type}" of column "${field}"`);
+                }
+            });
+        }
+
+        // JS值 -> CSV文本，空值统一写为空字符串
+        static encode(field, type, value) {
+            if (value === null || value === undefined) return '';
+            if (type === 'string' || type === undefined) return String(value);
+            if (value === '') return '';
+            const text = CsvColumnTypes[type].encode(value);
+            if (text === undefined) {
+                throw new CsvTypeError(field, type, value);
+            }
+            return text;
+        }
+
+        // CSV文本 -> JS值，非字符串列的空字符串视为null
+        static decode(field, type, text) {
+            if (type === 'string' || type === undefined) return text;
+            if (text === '') return null;
+            const value = CsvColumnTypes[type].decode(text);
+            if (value === undefined) {
+                throw new CsvTypeError(field, type, text);
+            }
+            return value;
+        }
+
+        static decodeRow(headers, values, types) {
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = CsvCodec.decode(header, types[header], values[index] || '');
+            });
+            return row;
+        }
+
+        static encodeRow(headers, row, types) {
+            return headers.map(header => CsvCodec.encode(header, types[header], row[header]));
+        }
+    }
+
+    // 二级索引（只用于分片表）: 记录列值所在的分片，以及生成索引时各分片文件的SHA
+    // Contents API读取文件时总是返回全部内容，索引通过跳过不包含查询值的分片减少读取
+    // 格式: {field, shards: {分片ID: sha}, entries: {列值: [分片ID, ...]}}
+    class CsvIndex {
+        // 按列类型规范化后的列值，使文件中的 "1" 与查询值true对应同一个键，无法解析的值保持原文
+        static key(field, type, text) {
+            try {
+                return CsvCodec.encode(field, type, CsvCodec.decode(field, type, text));
+            } catch (error) {
+                return text;
+            }
+        }
+
+        // 返回分片内容中该列的所有键
+        static keys(csvContent, field, type, dialect = CsvDialect.DEFAULT) {
+            const lines = CsvUtils.parseCsv(csvContent, null, dialect);
+            if (lines.length === 0) {
+                throw new Error("csv must contains header");
+            }
+            const index = lines[0].indexOf(field);
+            if (index < 0) {
+                throw new CsvDbError(`Column "${field}" does not exist`);
+            }
+            return new Set(lines.slice(1).map(values => CsvIndex.key(field, type, values[index] || '')));
+        }
+
+        // 用分片的最新内容替换索引中该分片的记录，index为null时新建索引
+        static update(index, field, shardId, sha, keys) {
+            const entries = {};
+            Object.entries(index ? index.entries : {}).forEach(([key, shardIds]) => {
+                const rest = shardIds.filter(id => id !== shardId);
+                if (rest.length > 0) {
+                    entries[key] = rest;
+                }
+            });
+            keys.forEach(key => {
+                (entries[key] = entries[key] || []).push(shardId);
+            });
+            return {field, shards: {...(index ? index.shards : {}), [shardId]: sha}, entries};
+        }
+
+        // 返回可能包含查询值的分片ID，values中的值需先经过列类型编码
+        // shards为当前的 分片ID -> sha，与索引记录不一致的分片（索引之外被修改、索引写入失败或之后新建）总是返回
+        static locate(index, values, shards) {
+            const matched = new Set();
+            values.forEach(value => (index.entries[value] || []).forEach(id => matched.add(id)));
+            return [...shards.keys()].filter(id => matched.has(id) || index.shards[id] !== shards.get(id));
+        }
+    }
+
+    // 水平分片规则，分片文件为 "表名/part-分片ID.csv"
+    // hash: {key, type: 'hash', count} 按分片键哈希取模
+    // range: {key, type: 'range', boundaries: [...]} 按升序的边界值划分，小于第一个边界的行在part-0
+    // month: {key, type: 'month'} 按分片键的日期所在月份（UTC）划分，如part-202401
+    class CsvSharding {
+        static check(headers, shard) {
+            if (!headers.includes(shard.key)) {
+                throw new CsvDbError(`Shard key "${shard.key}" does not exist in headers`);
+            }
+            switch (shard.type) {
+                case 'hash':
+                    if (!Number.isInteger(shard.count) || shard.count < 1) {
+                        throw new CsvDbError("Hash sharding requires a positive integer count");
+                    }
+                    break;
+                case 'range':
+                    if (!Array.isArray(shard.boundaries) || shard.boundaries.length === 0) {
+                        throw new CsvDbError("Range sharding requires non-empty boundaries");
+                    }
+                    break;
+                case 'month':
+                    break;
+                default:
+                    throw new CsvDbError(`Unknown shard type "${shard.type}"`);
+            }
+        }
+
+        static shardOf(shard, value, type) {
+            if (CsvUtils.isEmptyValue(value)) {
+                throw new CsvDbError(`Shard key "${shard.key}" cannot be empty`);
+            }
+            const text = CsvCodec.encode(shard.key, type, value);
+            switch (shard.type) {
+                case 'hash':
+                    return String(CsvSharding.hash(text) % shard.count);
+                case 'range': {
+                    const nativeValue = CsvCodec.decode(shard.key, type, text);
+                    return String(shard.boundaries.filter(b => CsvUtils.compareValue(nativeValue, b) >= 0).length);
+                }
+                case 'month': {
+                    const num = CsvUtils.toNumber(text);
+                    const date = new Date(isNaN(num) ? text : num);
+                    if (isNaN(date.getTime())) {
+                        throw new CsvTypeError(shard.key, 'date', value);
+                    }
+                    return `${date.getUTCFullYear()}${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+                }
+            }
+        }
+
+        // FNV-1a 32位哈希
+        static hash(text) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+    }
+
+    // 列值生成器，插入时对应列为空才会生成
+    const CsvGenerators = {
+        // 基于文件中当前最大值自增
+        autoIncrement: state => ++state.max,
+        uuid: () => CsvUtils.uuid(),
+        ulid: () => CsvUtils.ulid(),
+        now: state => state.type === 'date' ? new Date() : Date.now()
+    };
+
+    class CsvConstraints {
+        // 规范化表结构中的约束: primaryKey为列名数组，unique为列名数组的数组
+        static normalize(headers, schema) {
+            const result = {};
+            const checkFields = fields => {
+                fields.forEach(field => {
+                    if (!headers.includes(field)) {
+                        throw new CsvDbError(`Column "${field}" in constraint does not exist in headers`);
+                    }
+                });
+                return fields;
+            };
+            if (schema.primaryKey) {
+                result.primaryKey = checkFields([].concat(schema.primaryKey));
+            }
+            if (schema.unique) {
+                result.unique = schema.unique.map(fields => checkFields([].concat(fields)));
+            }
+            return result;
+        }
+
+        static of(schema) {
+            const constraints = [];
+            if (schema.primaryKey) {
+                constraints.push({name: 'primary key', fields: schema.primaryKey, notNull: true});
+            }
+            (schema.unique || []).forEach(fields => {
+                constraints.push({name: 'unique', fields, notNull: false});
+            });
+            return constraints;
+        }
+
+        // 只检查本次写入涉及的行，文件中原有的重复数据不影响其他行的写入
+        static check(headers, records, touched, constraints) {
+            constraints.forEach(({name, fields, notNull}) => {
+                const indexes = fields.map(field => headers.indexOf(field));
+                const seen = new Map();
+                records.forEach((values, i) => {
+                    const keyValues = indexes.map(index => values[index] ?? '');
+                    if (keyValues.some(v => v === '')) {
+                        if (notNull && touched.has(i)) {
+                            throw new CsvConstraintError(name, fields, keyValues, `Value of ${name} (${fields.join(', ')}) cannot be empty`);
+                        }
+                        return;
+                    }
+                    const key = JSON.stringify(keyValues);
+                    if (seen.has(key) && (touched.has(i) || touched.has(seen.get(key)))) {
+                        throw new CsvConstraintError(name, fields, keyValues);
+                    }
+                    seen.set(key, i);
+                });
+            });
+        }
+    }
+
+
+    function csvDataFilter() {
+        const _filters = []
+        const _lookups = [];
+
+        function test(row) {
+            return _filters.every(f => f(row));
+        }
+
+        // 顶层的eq、in条件，可用于索引查找
+        function lookups() {
+            return _lookups;
+        }
+
+        function eq(fieldName, value) {
+            _lookups.push({field: fieldName, values: [value]});
+            const strValue = CsvUtils.normalizeValue(value);
+            _filters.push(row => {
+                const v = row[fieldName];
+                if (v === null || v === undefined) {
+                    return strValue === null;
+                }
+                if (strValue === null) {
+                    return false;
+                }
+                return CsvUtils.normalizeValue(v) === strValue;
+            });
+        }
+
+        function notEq(fieldName, value) {
+            const strValue = CsvUtils.normalizeValue(value);
+            _filters.push(row => {
+                const v = row[fieldName];
+                if (v === null || v === undefined) {
+                    return strValue !== null;
+                }
+                if (strValue === null) {
+                    return true;
+                }
+                return CsvUtils.normalizeValue(v) !== strValue;
+            });
+        }
+
+        function inValues(fieldName, ...values) {
+            _lookups.push({field: fieldName, values});
+            const set = new Set(values.map(v => CsvUtils.normalizeValue(v)));
+            _filters.push(row => {
+                const v = row[fieldName];
+                const valueToCheck = CsvUtils.normalizeValue(v);
+                return set.has(valueToCheck);
+            });
+        }
+
+        function notIn(fieldName, ...values) {
+            const set = new Set(values.map(v => CsvUtils.normalizeValue(v)));
+            _filters.push(row => {
+                const v = row[fieldName];
+                const valueToCheck = CsvUtils.normalizeValue(v);
+                return !set.has(valueToCheck);
+            });
+        }
+
+        // 空值（null、空字符串）与SQL的IS NULL对应
+        function isNull(fieldName) {
+            _filters.push(row => CsvUtils.isEmptyValue(row[fieldName]));
+        }
+
+        function isNotNull(fieldName) {
+            _filters.push(row => !CsvUtils.isEmptyValue(row[fieldName]));
+        }
+
+        function like(fieldName, pattern) {
+            const regex = new RegExp('^' + pattern
+                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/%/g, '.*')
+                .replace(/_/g, '.') + '$');
+
+            _filters.push(row => {
+                const v = CsvUtils.normalizeValue(row[fieldName]) ?? '';
+                return regex.test(v);
+            });
+        }
+
+        function gt(fieldName, value) {
+            _cmpHelper(fieldName, value, cmpResult => cmpResult > 0);
+        }
+
+        function ge(fieldName, value) {
+            _cmpHelper(fieldName, value, cmpResult => cmpResult >= 0);
+        }
+
+        function lt(fieldName, value) {
+            _cmpHelper(fieldName, value, cmpResult => cmpResult < 0);
+        }
+
+        function le(fieldName, value) {
+            _cmpHelper(fieldName, value, cmpResult => cmpResult <= 0);
+        }
+
+        function _cmpHelper(fieldName, value, tester) {
+            const strValue = CsvUtils.normalizeValue(value);
+            _filters.push(row => {
+                const v = row[fieldName];
+                if (v == null || strValue == null) {
+                    return false;
+                }
+                const cmpResult = CsvUtils.compareValue(v, value);
+                return tester(cmpResult);
+            });
+        }
+
+        // 任意一组条件满足即可
+        function or(...groups) {
+            const subFilters = _buildGroups(groups);
+            _filters.push(row => subFilters.some(f => f.test(row)));
+        }
+
+        // 所有组条件都需要满足
+        function and(...groups) {
+            const subFilters = _buildGroups(groups);
+            _filters.push(row => subFilters.every(f => f.test(row)));
+        }
+
+        // 所有组条件都满足时取反
+        function not(...groups) {
+            const subFilters = _buildGroups(groups);
+            _filters.push(row => !subFilters.every(f => f.test(row)));
+        }
+
+        // 每组条件为一个回调，回调参数为条件构造器，组内条件为AND关系
+        function _buildGroups(groups) {
+            return groups.map(group => {
+                if (typeof group !== 'function') {
+                    throw new Error("Condition group must be a function");
+                }
+                const subFilter = csvDataFilter();
+                group(csvConditionBuilder(subFilter));
+                return subFilter;
+            });
+        }
+
+        return {
+            test,
+            lookups,
+            eq,
+            notEq,
+            inValues,
+            notIn,
+            isNull,
+            isNotNull,
+            like,
+            gt,
+            ge,
+            lt,
+            le,
+            or,
+            and,
+            not
+        }
+    }
+
+    // 链式条件方法，供selectFrom、update、deleteFrom以及条件分组共用
+    function csvConditionBuilder(csvFilter) {
+        return {
+            eq: function (fieldName, value) {
+                csvFilter.eq(fieldName, value);
+                return this;
+            },
+            notEq: function (fieldName, value) {
+                csvFilter.notEq(fieldName, value);
+                return this;
+            },
+            in: function (fieldName, ...values) {
+                csvFilter.inValues(fieldName, ...values);
+                return this;
+            },
+            notIn: function (fieldName, ...values) {
+                csvFilter.notIn(fieldName, ...values);
+                return this;
+            },
+            isNull: function (fieldName) {
+                csvFilter.isNull(fieldName);
+                return this;
+            },
+            isNotNull: function (fieldName) {
+                csvFilter.isNotNull(fieldName);
+                return this;
+            },
+            like: function (fieldName, pattern) {
+                csvFilter.like(fieldName, pattern);
+                return this;
+            },
+            gt: function (fieldName, value) {
+                csvFilter.gt(fieldName, value);
+                return this;
+            },
+            ge: function (fieldName, value) {
+                csvFilter.ge(fieldName, value);
+                return this;
+            },
+            lt: function (fieldName, value) {
+                csvFilter.lt(fieldName, value);
+                return this;
+            },
+            le: function (fieldName, value) {
+                csvFilter.le(fieldName, value);
+                return this;
+            },
+            or: function (...groups) {
+                csvFilter.or(...groups);
+                return this;
+            },
+            and: function (...groups) {
+                csvFilter.and(...groups);
+                return this;
+            },
+            not: function (...groups) {
+                csvFilter.not(...groups);
+                return this;
+            }
+        }
+    }
+
+    function csvDataFetcher() {
+        const handler = {
+            shouldHandleData(row) {
+                throw new Error("shouldHandleData must be implemented");
+            },
+            lineOffset() {
+                return 0;
+            },
+            lineLimit() {
+                return Number.MAX_VALUE;
+            },
+            // [{field, desc, nulls: 'first' | 'last', collation, locale}]
+            orders() {
+                return [];
+            },
+            selectField() {
+                return null;
+            },
+            columnTypes() {
+                return {};
+            },
+            groupFields() {
+                return [];
+            },
+            aggregations() {
+                return [];
+            },
+            shouldHandleGroup(row) {
+                return true;
+            },
+            // [{type: 'inner' | 'left', alias, localKeys, foreignKeys, rows, headers}]
+            joins() {
+                return [];
+            },
+            dialect() {
+                return CsvDialect.DEFAULT;
+            }
+        }
+
+
+        function fetch(csvContent) {
+            const lines = CsvUtils.parseCsv(csvContent, null, handler.dialect());
+            if (lines.length === 0) {
+                throw new Error("csv must contains header");
+            }
+
+            const headers = lines[0];
+            const types = handler.columnTypes();
+            let rows = [];
+            for (let i = 1; i < lines.length; i++) {
+                rows.push(CsvCodec.decodeRow(headers, lines[i], types));
+            }
+            for (const join of handler.joins()) {
+                rows = joinRows(rows, join);
+            }
+            let records = rows.filter(row => handler.shouldHandleData(row));
+            const groupFields = handler.groupFields();
+            const aggregations = handler.aggregations();
+            if (groupFields.length > 0 || aggregations.length > 0) {
+                records = aggregate(records, groupFields, aggregations)
+                    .filter(row => handler.shouldHandleGroup(row));
+            }
+            const orders = handler.orders();
+            if (orders.length > 0) {
+                records.sort((a, b) => {
+                    for (const order of orders) {
+                        const cmpResult = compareByOrder(a[order.field], b[order.field], order);
+                        if (cmpResult !== 0) {
+                            return cmpResult;
+                        }
+                    }
+                    return 0;
+                });
+            }
+            const start = handler.lineOffset();
+            const end = start + handler.lineLimit();
+            const selectFields = handler.selectField();
+            if (selectFields == null) {
+                return records.slice(start, end);
+            } else {
+                // 支持 "field as alias" 形式的字段别名
+                const fieldAliases = selectFields.map(field => {
+                    const match = field.match(/^(.+?)\s+as\s+(.+)$/i);
+                    return match ? [match[1].trim(), match[2].trim()] : [field, field];
+                });
+                return records.slice(start, end).map(row => {
+                    const newRow = {};
+                    fieldAliases.forEach(([field, alias]) => {
+                        newRow[alias] = row[field];
+                    });
+                    return newRow;
+                });
+            }
+        }
+
+        // 关联表的字段以 "别名.字段名" 加入结果行，左连接未匹配时关联表字段为null
+        function joinRows(rows, join) {
+            const index = new Map();
+            join.rows.forEach(foreignRow => {
+                const key = joinKey(foreignRow, join.foreignKeys);
+                if (key === null) {
+                    return;
+                }
+                if (!index.has(key)) {
+                    index.set(key, []);
+                }
+                index.get(key).push(prefixRow(foreignRow, join.alias));
+            });
+            const nullRow = {};
+            join.headers.forEach(field => {
+                nullRow[`${join.alias}.${field}`] = null;
+            });
+
+            return rows.flatMap(row => {
+                const key = joinKey(row, join.localKeys);
+                const matches = key === null ? [] : (index.get(key) || []);
+                if (matches.length === 0) {
+                    return join.type === 'left' ? [{...row, ...nullRow}] : [];
+                }
+                return matches.map(foreignRow => ({...row, ...foreignRow}));
+            });
+        }
+
+        // 任意关联字段为空时不参与匹配
+        function joinKey(row, keys) {
+            const values = keys.map(key => CsvUtils.normalizeValue(row[key]));
+            return values.some(v => v === null || v === '') ? null : JSON.stringify(values);
+        }
+
+        function prefixRow(row, alias) {
+            const newRow = {};
+            Object.entries(row).forEach(([field, value]) => {
+                newRow[`${alias}.${field}`] = value;
+            });
+            return newRow;
+        }
+
+        // 空值（null、空字符串）的位置由nulls决定，不受desc影响
+        function compareByOrder(v1, v2, order) {
+            const empty1 = CsvUtils.isEmptyValue(v1);
+            const empty2 = CsvUtils.isEmptyValue(v2);
+            if (empty1 || empty2) {
+                if (empty1 && empty2) {
+                    return 0;
+                }
+                const nullsFirst = order.nulls === 'first';
+                return (empty1 === nullsFirst) ? -1 : 1;
+            }
+            const cmpResult = CsvUtils.compareValue(v1, v2, order.collation, order.locale);
+            return order.desc ? -cmpResult : cmpResult;
+        }
+
+        // 按分组字段聚合，没有分组字段时所有行聚合为一行
+        function aggregate(records, groupFields, aggregations) {
+            const groups = new Map();
+            if (groupFields.length === 0) {
+                groups.set('[]', []);
+            }
+            records.forEach(row => {
+                const key = JSON.stringify(groupFields.map(field => CsvUtils.normalizeValue(row[field])));
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(row);
+            });
+
+            return Array.from(groups.values()).map(rows => {
+                const groupRow = {};
+                groupFields.forEach(field => {
+                    groupRow[field] = rows[0][field];
+                });
+                aggregations.forEach(({type, field, alias}) => {
+                    const values = field == null ? rows : rows
+                        .map(row => row[field])
+                        .filter(v => v !== null && v !== undefined && v !== '');
+                    groupRow[alias] = CsvAggregators[type](values, field);
+                });
+                return groupRow;
+            });
+        }
+
+        return {
+            fetch,
+            handler
+        }
+    }
+
+    // 聚合函数，values为分组内非空的字段值（count时为分组内的所有行）
+    const CsvAggregators = {
+        count: values => values.length,
+        sum: (values, field) => {
+            if (values.length === 0) return null;
+            return values.reduce((total, v) => total + CsvAggregators._toNumber(v, field), 0);
+        },
+        avg: (values, field) => {
+            if (values.length === 0) return null;
+            return CsvAggregators.sum(values, field) / values.length;
+        },
+        min: values => {
+            if (values.length === 0) return null;
+            return values.reduce((a, b) => CsvUtils.compareValue(a, b) <= 0 ? a : b);
+        },
+        max: values => {
+            if (values.length === 0) return null;
+            return values.reduce((a, b) => CsvUtils.compareValue(a, b) >= 0 ? a : b);
+        },
+        _toNumber: (value, field) => {
+            const num = CsvUtils.toNumber(value);
+            if (isNaN(num)) {
+                throw new CsvDbError(`Column "${field}" contains non-numeric value ${JSON.stringify(CsvUtils.normalizeValue(value))}`);
+            }
+            return num;
+        }
+    };
+
+    function csvModifyHandler() {
+        const handler = {
+            appendRows() {
+                throw new Error("shouldHandleData must be implemented");
+            },
+
+            shouldHandleData(row) {
+                throw new Error("shouldHandleData must be implemented");
+            },
+
+            handleData(row) {
+                throw new Error("handleData must be implemented");
+            },
+
+            columnTypes() {
+                return {};
+            },
+
+            constraints() {
+                return [];
+            },
+
+            // {field: generatorName}
+            generators() {
+                return {};
+            },
+
+            // {field: defaultValue}
+            defaults() {
+                return {};
+            },
+
+            // 每次执行前调用，用于清理上一次执行留下的状态，写入冲突重试时会再次执行
+            reset() {
+            },
+
+            // 读取和写回CSV内容使用的方言
+            dialect() {
+                return CsvDialect.DEFAULT;
+            },
+        }
+
+        function execute(csvContent) {
+            handler.reset();
+            const dialect = handler.dialect();
+            const lines = CsvUtils.parseCsv(csvContent, null, dialect);
+            if (lines.length === 0) {
+                throw new Error("csv must contains header");
+            }
+
+            const headers = lines[0];
+            // 列名重复或为空时写回会丢失数据
+            CsvUtils.checkHeaders(headers);
+            const types = handler.columnTypes();
+            const records = [];
+            const touched = new Set();
+            let affectedCount = 0;
+
+            for (let i = 1; i < lines.length; i++) {
+                const values = lines[i];
+                const row = CsvCodec.decodeRow(headers, values, types);
+
+                if (handler.shouldHandleData(row)) {
+                    const newRow = handler.handleData({...row});
+                    if (newRow !== null) {
+                        touched.add(records.length);
+                        records.push(CsvCodec.encodeRow(headers, newRow, types));
+                    }
+                    affectedCount++;
+                } else {
+                    records.push(values);
+                }
+            }
+
+            const insertedRows = [];
+            const generate = createGenerator(headers, records, types);
+            for (const row of handler.appendRows()) {
+                const values = CsvCodec.encodeRow(headers, generate(row), types);
+                touched.add(records.length);
+                records.push(values);
+                insertedRows.push(CsvCodec.decodeRow(headers, values, types));
+                affectedCount++;
+            }
+            CsvConstraints.check(headers, records, touched, handler.constraints());
+
+            const newCsv = CsvDialect.join([headers, ...records].map(values => CsvUtils.toCsvLine(values, dialect)), dialect);
+            return {
+                affectedCount: affectedCount,
+                insertedRows: insertedRows,
+                csvContent: newCsv
+            };
+        }
+
+        // 为插入的行填充默认值和生成值
+        function createGenerator(headers, records, types) {
+            const defaults = handler.defaults();
+            const states = {};
+            Object.entries(handler.generators()).forEach(([field, name]) => {
+                const index = headers.indexOf(field);
+                const state = {field, type: types[field], max: 0};
+                if (name === 'autoIncrement') {
+                    records.forEach(values => {
+                        const num = CsvUtils.toNumber(values[index] ?? '');
+                        if (!isNaN(num) && num > state.max) {
+                            state.max = num;
+                        }
+                    });
+                }
+                states[field] = {name, state};
+            });
+
+            return row => {
+                const newRow = {...row};
+                Object.entries(defaults).forEach(([field, value]) => {
+                    if (CsvUtils.isEmptyValue(newRow[field])) {
+                        newRow[field] = value;
+                    }
+                });
+                Object.entries(states).forEach(([field, {name, state}]) => {
+                    if (CsvUtils.isEmptyValue(newRow[field])) {
+                        newRow[field] = CsvGenerators[name](state);
+                    } else if (name === 'autoIncrement') {
+                        state.max = Math.max(state.max, CsvUtils.toNumber(newRow[field]) || 0);
+                    }
+                });
+                return newRow;
+            };
+        }
+
+        return {
+            handler,
+            execute,
+        };
+    }
+
+    function csvAlterHandler() {
+        const _operations = [];
+        // 表结构中以列名为key的配置
+        const COLUMN_MAP_KEYS = ['types', 'generators', 'defaults'];
+
+        function addColumn(fieldName, defaultValue, type) {
+            _operations.push(table => {
+                if (table.headers.includes(fieldName)) {
+                    throw new CsvDbError(`Column "${fieldName}" already exists`);
+                }
+                if (type !== undefined) {
+                    CsvCodec.checkTypes([fieldName], {[fieldName]: type});
+                    table.schema.types[fieldName] = type;
+                }
+                const value = CsvCodec.encode(fieldName, table.schema.types[fieldName], defaultValue);
+                table.headers.push(fieldName);
+                table.records.forEach(values => values.push(value));
+            });
+        }
+
+        function dropColumn(fieldName) {
+            _operations.push(table => {
+                const index = _indexOf(table, fieldName);
+                if (_constraintFields(table).includes(fieldName)) {
+                    throw new CsvDbError(`Column "${fieldName}" is used by a constraint or shard key`);
+                }
+                table.headers.splice(index, 1);
+                table.records.forEach(values => values.splice(index, 1));
+                COLUMN_MAP_KEYS.forEach(key => {
+                    if (table.schema[key]) {
+                        delete table.schema[key][fieldName];
+                    }
+                });
+                if (table.schema.indexes) {
+                    table.schema.indexes = table.schema.indexes.filter(field => field !== fieldName);
+                }
+            });
+        }
+
+        function renameColumn(fieldName, newFieldName) {
+            _operations.push(table => {
+                const index = _indexOf(table, fieldName);
+                if (table.headers.includes(newFieldName)) {
+                    throw new CsvDbError(`Column "${newFieldName}" already exists`);
+                }
+                table.headers[index] = newFieldName;
+                COLUMN_MAP_KEYS.forEach(key => {
+                    const columnMap = table.schema[key];
+                    if (columnMap && columnMap.hasOwnProperty(fieldName)) {
+                        columnMap[newFieldName] = columnMap[fieldName];
+                        delete columnMap[fieldName];
+                    }
+                });
+                const rename = fields => fields.map(field => field === fieldName ? newFieldName : field);
+                if (table.schema.primaryKey) {
+                    table.schema.primaryKey = rename(table.schema.primaryKey);
+                }
+                if (table.schema.unique) {
+                    table.schema.unique = table.schema.unique.map(rename);
+                }
+                if (table.schema.indexes) {
+                    table.schema.indexes = rename(table.schema.indexes);
+                }
+                if (table.schema.shard && table.schema.shard.key === fieldName) {
+                    table.schema.shard = {...table.schema.shard, key: newFieldName};
+                }
+            });
+        }
+
+        // 未指定的列按原顺序排在后面
+        function reorderColumns(fieldNames) {
+            _operations.push(table => {
+                const indexes = fieldNames.map(fieldName => _indexOf(table, fieldName));
+                table.headers.forEach((header, index) => {
+                    if (!indexes.includes(index)) {
+                        indexes.push(index);
+                    }
+                });
+                table.headers = indexes.map(index => table.headers[index]);
+                table.records = table.records.map(values => indexes.map(index => values[index]));
+            });
+        }
+
+        function _constraintFields(table) {
+            const shardKey = table.schema.shard ? [table.schema.shard.key] : [];
+            return [...(table.schema.primaryKey || []), ...(table.schema.unique || []).flat(), ...shardKey];
+        }
+
+        function _indexOf(table, fieldName) {
+            const index = table.headers.indexOf(fieldName);
+            if (index < 0) {
+                throw new CsvDbError(`Column "${fieldName}" does not exist`);
+            }
+            return index;
+        }
+
+        function hasOperations() {
+            return _operations.length > 0;
+        }
+
+        // 返回修改后的CSV内容以及同步修改了列名的表结构，写回时保持原有的方言
+        function execute(csvContent, schema, dialect = CsvDialect.DEFAULT) {
+            const lines = CsvUtils.parseCsv(csvContent, null, dialect);
+            if (lines.length === 0) {
+                throw new Error("csv must contains header");
+            }
+
+            const newSchema = {...schema, types: {...schema.types}};
+            COLUMN_MAP_KEYS.forEach(key => {
+                if (schema[key]) {
+                    newSchema[key] = {...schema[key]};
+                }
+            });
+            const table = {
+                headers: [...lines[0]],
+                records: lines.slice(1).map(values => lines[0].map((header, index) => values[index] || '')),
+                schema: newSchema
+            };
+            _operations.forEach(operation => operation(table));
+            CsvUtils.checkHeaders(table.headers);
+
+            const newCsv = CsvDialect.join([table.headers, ...table.records].map(values => CsvUtils.toCsvLine(values, dialect)), dialect);
+            return {
+                affectedCount: table.records.length,
+                headers: table.headers,
+                schema: table.schema,
+                csvContent: newCsv
+            };
+        }
+
+        return {
+            addColumn,
+            dropColumn,
+            renameColumn,
+            reorderColumns,
+            hasOperations,
+            execute
+        };
+    }
+
+    // SQL语句解析，只支持单表的SELECT、INSERT、UPDATE、DELETE，结果交给csvDb.query编译为对应的构造器调用
+    // 参数使用 "?"（params为数组）或 ":name"（params为对象）绑定，解析时直接替换为参数值
+    class CsvSqlParser {
+        static KEYWORDS = new Set([
+            'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'LIKE', 'IS', 'NULL', 'BETWEEN',
+            'ORDER', 'BY', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'LIMIT', 'OFFSET', 'GROUP', 'HAVING',
+            'AS', 'JOIN', 'INNER', 'LEFT', 'ON', 'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE',
+            'TRUE', 'FALSE'
+        ]);
+
+        static AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+        static COMPARE_OPERATORS = {'=': 'eq', '!=': 'notEq', '<>': 'notEq', '<': 'lt', '<=': 'le', '>': 'gt', '>=': 'ge'};
+
+        static parse(sql, params = []) {
+            const parser = new CsvSqlParser(sql, params);
+            const statement = parser.parseStatement();
+            parser.accept('punct', ';');
+            parser.expect('eof');
+            parser.checkParamsUsed();
+            return statement;
+        }
+
+        static tokenize(sql) {
+            const tokens = [];
+            let i = 0;
+            while (i < sql.length) {
+                const char = sql[i];
+                if (/\s/.test(char)) {
+                    i++;
+                    continue;
+                }
+                if (sql.startsWith('--', i)) {
+                    while (i < sql.length && sql[i] !== '\n') i++;
+                    continue;
+                }
+                const start = i;
+                if (char === "'") {
+                    let value = '';
+                    i++;
+                    while (true) {
+                        if (i >= sql.length) {
+                            throw new CsvSqlError("Unterminated string literal", sql, start);
+                        }
+                        if (sql[i] === "'") {
+                            if (sql[i + 1] !== "'") break;
+                            i++;
+                        }
+                        value += sql[i++];
+                    }
+                    i++;
+                    tokens.push({type: 'string', value, pos: start});
+                } else if (char === '"' || char === '`') {
+                    const end = sql.indexOf(char, i + 1);
+                    if (end < 0) {
+                        throw new CsvSqlError("Unterminated quoted identifier", sql, start);
+                    }
+                    tokens.push({type: 'ident', value: sql.slice(i + 1, end), pos: start});
+                    i = end + 1;
+                } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(sql[i + 1] || ''))) {
+                    const match = sql.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+                    tokens.push({type: 'number', value: Number(match[0]), pos: start});
+                    i += match[0].length;
+                } else if (/[A-Za-z_\u0080-\uffff]/.test(char)) {
+                    const match = sql.slice(i).match(/^[\w\u0080-\uffff]+/);
+                    const upper = match[0].toUpperCase();
+                    if (CsvSqlParser.KEYWORDS.has(upper)) {
+                        tokens.push({type: 'keyword', value: upper, pos: start});
+                    } else {
+                        tokens.push({type: 'ident', value: match[0], pos: start});
+                    }
+                    i += match[0].length;
+                } else if (char === '?') {
+                    tokens.push({type: 'param', value: null, pos: start});
+                    i++;
+                } else if (char === ':' && /[A-Za-z_]/.test(sql[i + 1] || '')) {
+                    const match = sql.slice(i + 1).match(/^\w+/);
+                    tokens.push({type: 'param', value: match[0], pos: start});
+                    i += match[0].length + 1;
+                } else {
+                    const op = ['<=', '>=', '<>', '!='].find(op => sql.startsWith(op, i));
+                    if (op) {
+                        tokens.push({type: 'op', value: op, pos: start});
+                        i += 2;
+                    } else if ('=<>'.includes(char)) {
+                        tokens.push({type: 'op', value: char, pos: start});
+                        i++;
+                    } else if ('(),.*;-'.includes(char)) {
+                        tokens.push({type: 'punct', value: char, pos: start});
+                        i++;
+                    } else {
+                        throw new CsvSqlError(`Unexpected character "${char}"`, sql, start);
+                    }
+                }
+            }
+            tokens.push({type: 'eof', value: null, pos: sql.length});
+            return tokens;
+        }
+
+        constructor(sql, params) {
+            this.sql = sql;
+            this.params = params;
+            this.paramIndex = 0;
+            this.tokens = CsvSqlParser.tokenize(sql);
+            this.index = 0;
+            // 只有HAVING条件可以使用聚合函数
+            this.allowAggregates = false;
+        }
+
+        peek(offset = 0) {
+            return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+        }
+
+        is(type, value, offset = 0) {
+            const token = this.peek(offset);
+            return token.type === type && (value === undefined || token.value === value);
+        }
+
+        accept(type, value) {
+            if (this.is(type, value)) {
+                return this.tokens[this.index++];
+            }
+            return null;
+        }
+
+        expect(type, value, description) {
+            const token = this.accept(type, value);
+            if (!token) {
+                this.fail(`Expected ${description || (value !== undefined ? `"${value}"` : type)}`);
+            }
+            return token;
+        }
+
+        fail(message, token = this.peek()) {
+            const found = token.type === 'eof' ? 'end of query'
+                : token.type === 'string' ? `'${token.value}'` : `"${token.value ?? '?'}"`;
+            throw new CsvSqlError(`${message} but found ${found}`, this.sql, token.pos);
+        }
+
+        checkParamsUsed() {
+            if (Array.isArray(this.params) && this.paramIndex < this.params.length) {
+                throw new CsvSqlError(`Query uses ${this.paramIndex} parameters but ${this.params.length} were given`, this.sql, 0);
+            }
+        }
+
+        parseStatement() {
+            if (this.accept('keyword', 'SELECT')) return this.parseSelect();
+            if (this.accept('keyword', 'INSERT')) return this.parseInsert();
+            if (this.accept('keyword', 'UPDATE')) return this.parseUpdate();
+            if (this.accept('keyword', 'DELETE')) return this.parseDelete();
+            this.fail("Expected SELECT, INSERT, UPDATE or DELETE");
+        }
+
+        // SELECT 列 FROM 表 [别名] [[LEFT] JOIN 表 [别名] ON 条件] [WHERE 条件] [GROUP BY 列] [HAVING 条件]
+        //     [ORDER BY 列 [ASC | DESC] [NULLS FIRST | LAST]] [LIMIT n] [OFFSET n]
+        parseSelect() {
+            const statement = {type: 'select', columns: null, joins: [], where: null, groupBy: [], having: null, orders: [], limit: null, offset: null};
+            if (!this.accept('punct', '*')) {
+                statement.columns = [];
+                do {
+                    statement.columns.push(this.parseSelectColumn());
+                } while (this.accept('punct', ','));
+            }
+            this.expect('keyword', 'FROM');
+            Object.assign(statement, this.parseTableName());
+
+            while (this.is('keyword', 'JOIN') || this.is('keyword', 'INNER') || this.is('keyword', 'LEFT')) {
+                const type = this.accept('keyword', 'LEFT') ? 'left' : 'inner';
+                if (type === 'inner') this.accept('keyword', 'INNER');
+                this.expect('keyword', 'JOIN');
+                const join = {type, ...this.parseTableName(), on: []};
+                this.expect('keyword', 'ON');
+                do {
+                    const left = this.parseColumnName();
+                    this.expect('op', '=');
+                    join.on.push([left, this.parseColumnName()]);
+                } while (this.accept('keyword', 'AND'));
+                statement.joins.push(join);
+            }
+
+            if (this.accept('keyword', 'WHERE')) {
+                statement.where = this.parseExpression();
+            }
+            if (this.accept('keyword', 'GROUP')) {
+                this.expect('keyword', 'BY');
+                do {
+                    statement.groupBy.push(this.parseColumnName());
+                } while (this.accept('punct', ','));
+            }
+            if (this.accept('keyword', 'HAVING')) {
+                this.allowAggregates = true;
+                statement.having = this.parseExpression();
+                this.allowAggregates = false;
+            }
+            if (this.accept('keyword', 'ORDER')) {
+                this.expect('keyword', 'BY');
+                do {
+                    const order = {field: this.parseColumnName(), desc: false, nulls: 'last'};
+                    if (this.accept('keyword', 'DESC')) {
+                        order.desc = true;
+                    } else {
+                        this.accept('keyword', 'ASC');
+                    }
+                    if (this.accept('keyword', 'NULLS')) {
+                        order.nulls = this.accept('keyword', 'FIRST') ? 'first' : (this.expect('keyword', 'LAST', 'FIRST or LAST'), 'last');
+                    }
+                    statement.orders.push(order);
+                } while (this.accept('punct', ','));
+            }
+            if (this.accept('keyword', 'LIMIT')) {
+                statement.limit = this.parseCount();
+            }
+            if (this.accept('keyword', 'OFFSET')) {
+                statement.offset = this.parseCount();
+            }
+            return statement;
+        }
+
+        parseSelectColumn() {
+            let column = this.parseAggregate();
+            if (!column) {
+                const field = this.parseColumnName();
+                column = {field, alias: field};
+            }
+            if (this.accept('keyword', 'AS')) {
+                column.alias = this.expect('ident', undefined, 'alias').value;
+            } else if (this.is('ident')) {
+                column.alias = this.accept('ident').value;
+            }
+            return column;
+        }
+
+        // 聚合函数调用，如 COUNT(*)、COUNT(列)、SUM(列)，当前不是聚合函数时返回null
+        // COUNT(列)只统计非空值
+        parseAggregate() {
+            const token = this.peek();
+            if (token.type !== 'ident' || !CsvSqlParser.AGGREGATES.includes(token.value.toUpperCase()) || !this.is('punct', '(', 1)) {
+                return null;
+            }
+            this.index += 2;
+            const type = token.value.toLowerCase();
+            const field = type === 'count' && this.accept('punct', '*') ? null : this.parseColumnName();
+            this.expect('punct', ')');
+            return {aggregate: type, field, alias: field === null ? type : `${type}_${field}`};
+        }
+
+        parseTableName() {
+            const table = this.expect('ident', undefined, 'table name').value;
+            let alias = table;
+            if (this.accept('keyword', 'AS')) {
+                alias = this.expect('ident', undefined, 'alias').value;
+            } else if (this.is('ident')) {
+                alias = this.accept('ident').value;
+            }
+            return {table, alias};
+        }
+
+        // 列名，可以带表名前缀，如 "cookie.domain"
+        parseColumnName() {
+            let name = this.expect('ident', undefined, 'column name').value;
+            while (this.accept('punct', '.')) {
+                name += '.' + this.expect('ident', undefined, 'column name').value;
+            }
+            return name;
+        }
+
+        parseCount() {
+            const token = this.peek();
+            const value = this.parseValue();
+            if (!Number.isInteger(value) || value < 0) {
+                throw new CsvSqlError(`Expected non-negative integer but got ${JSON.stringify(value)}`, this.sql, token.pos);
+            }
+            return value;
+        }
+
+        parseValue() {
+            const token = this.peek();
+            if (this.accept('string')) return token.value;
+            if (this.accept('number')) return token.value;
+            if (this.accept('keyword', 'NULL')) return null;
+            if (this.accept('keyword', 'TRUE')) return true;
+            if (this.accept('keyword', 'FALSE')) return false;
+            if (this.accept('punct', '-')) {
+                return -this.expect('number', undefined, 'number').value;
+            }
+            if (this.accept('param')) {
+                if (token.value === null) {
+                    if (!Array.isArray(this.params) || this.paramIndex >= this.params.length) {
+                        throw new CsvSqlError(`Missing value for parameter ${this.paramIndex + 1}`, this.sql, token.pos);
+                    }
+                    return this.params[this.paramIndex++];
+                }
+                if (!this.params || !Object.prototype.hasOwnProperty.call(this.params, token.value)) {
+                    throw new CsvSqlError(`Missing value for parameter :${token.value}`, this.sql, token.pos);
+                }
+                return this.params[token.value];
+            }
+            this.fail("Expected value");
+        }
+
+        parseValueList() {
+            this.expect('punct', '(');
+            const values = [];
+            do {
+                values.push(this.parseValue());
+            } while (this.accept('punct', ','));
+            this.expect('punct', ')');
+            return values;
+        }
+
+        // 条件表达式: {type: 'and' | 'or', items}、{type: 'not', item}、{type: 'compare', op, field, value(s)}
+        parseExpression() {
+            const items = [this.parseAnd()];
+            while (this.accept('keyword', 'OR')) {
+                items.push(this.parseAnd());
+            }
+            return items.length === 1 ? items[0] : {type: 'or', items};
+        }
+
+        parseAnd() {
+            const items = [this.parseNot()];
+            while (this.accept('keyword', 'AND')) {
+                items.push(this.parseNot());
+            }
+            return items.length === 1 ? items[0] : {type: 'and', items};
+        }
+
+        parseNot() {
+            if (this.accept('keyword', 'NOT')) {
+                return {type: 'not', item: this.parseNot()};
+            }
+            if (this.accept('punct', '(')) {
+                const expression = this.parseExpression();
+                this.expect('punct', ')');
+                return expression;
+            }
+            return this.parsePredicate();
+        }
+
+        // HAVING中的字段可以是聚合函数调用，此时field为 {aggregate, field, alias}
+        parsePredicate() {
+            const field = (this.allowAggregates && this.parseAggregate()) || this.parseColumnName();
+            const token = this.peek();
+            if (token.type === 'op') {
+                this.index++;
+                return {type: 'compare', op: CsvSqlParser.COMPARE_OPERATORS[token.value], field, value: this.parseValue()};
+            }
+            if (this.accept('keyword', 'IS')) {
+                const negated = !!this.accept('keyword', 'NOT');
+                this.expect('keyword', 'NULL');
+                return {type: 'compare', op: negated ? 'isNotNull' : 'isNull', field};
+            }
+            const negated = !!this.accept('keyword', 'NOT');
+            let predicate;
+            if (this.accept('keyword', 'IN')) {
+                predicate = {type: 'compare', op: 'in', field, values: this.parseValueList()};
+            } else if (this.accept('keyword', 'LIKE')) {
+                predicate = {type: 'compare', op: 'like', field, value: this.parseValue()};
+            } else if (this.accept('keyword', 'BETWEEN')) {
+                const low = this.parseValue();
+                this.expect('keyword', 'AND');
+                predicate = {
+                    type: 'and', items: [
+                        {type: 'compare', op: 'ge', field, value: low},
+                        {type: 'compare', op: 'le', field, value: this.parseValue()}
+                    ]
+                };
+            } else {
+                this.fail("Expected comparison operator, IN, LIKE, BETWEEN or IS");
+            }
+            if (negated && predicate.op === 'in') {
+                return {...predicate, op: 'notIn'};
+            }
+            return negated ? {type: 'not', item: predicate} : predicate;
+        }
+
+        // INSERT INTO 表 (列, ...) VALUES (值, ...), ...
+        parseInsert() {
+            this.expect('keyword', 'INTO');
+            const table = this.expect('ident', undefined, 'table name').value;
+            this.expect('punct', '(', '"(" and column list');
+            const fields = [];
+            do {
+                fields.push(this.expect('ident', undefined, 'column name').value);
+            } while (this.accept('punct', ','));
+            this.expect('punct', ')');
+            this.expect('keyword', 'VALUES');
+            const rows = [];
+            do {
+                const token = this.peek();
+                const values = this.parseValueList();
+                if (values.length !== fields.length) {
+                    throw new CsvSqlError(`Expected ${fields.length} values but got ${values.length}`, this.sql, token.pos);
+                }
+                rows.push(Object.fromEntries(fields.map((field, index) => [field, values[index]])));
+            } while (this.accept('punct', ','));
+            return {type: 'insert', table, rows};
+        }
+
+        // UPDATE 表 SET 列 = 值, ... [WHERE 条件]，只支持赋值为常量或参数
+        parseUpdate() {
+            const table = this.expect('ident', undefined, 'table name').value;
+            this.expect('keyword', 'SET');
+            const set = {};
+            do {
+                const field = this.expect('ident', undefined, 'column name').value;
+                this.expect('op', '=');
+                set[field] = this.parseValue();
+            } while (this.accept('punct', ','));
+            const where = this.accept('keyword', 'WHERE') ? this.parseExpression() : null;
+            return {type: 'update', table, set, where};
+        }
+
+        // DELETE FROM 表 [WHERE 条件]
+        parseDelete() {
+            this.expect('keyword', 'FROM');
+            const table = this.expect('ident', undefined, 'table name').value;
+            const where = this.accept('keyword', 'WHERE') ? this.parseExpression() : null;
+            return {type: 'delete', table, where};
+        }
+    }
+
+    // 存储后端接口，csvDb只通过后端读写文件，sha为内容的版本标识:
+    //     read(path, {fresh}) -> {content, sha}
+    //     stat(path, {fresh}) -> {path, sha, size}
+    //     create(path, content) -> {sha}，文件已存在时抛出422
+    //     write(path, content, sha) -> {sha}，传入sha时只在文件仍是该版本时写入，否则抛出409
+    //     delete(path)
+    //     list(path, {fresh}) -> [{name, path, size, sha}]，只包含目录下的文件
+    //     transaction() -> {begin, commit(message), store}，可选，store为暂存修改的后端
+    //     resolveCommit(target) -> commitSha，可选，与snapshot一起用于历史查询
+    //     snapshot(commitSha) -> 只读后端，可选，同一commit返回同一对象以复用表结构缓存
+    // 文件不存在时抛出status为404的错误，错误格式与githubApiRequest相同
+    const githubSnapshots = new Map();
+    const githubBackend = {
+        read: (path, options) => getFile(path, null, options),
+        stat: (path, options) => getFileInfo(path, null, options),
+        async create(path, content) {
+            try {
+                return {sha: (await createFile(path, content)).content.sha};
+            } catch (error) {
+                // 文件已存在时Contents API要求传入sha
+                if (error.status === 422 && /"sha" wasn't supplied/.test(error.message)) {
+                    throw storageExists(path);
+                }
+                throw error;
+            }
+        },
+        write: async (path, content, sha = null) => ({sha: (await updateFile(path, content, undefined, sha)).content.sha}),
+        delete: path => deleteFile(path),
+        list: (path, options) => listFiles(path, null, options),
+        transaction: gitTransaction,
+        resolveCommit,
+        snapshot(commitSha) {
+            if (!githubSnapshots.has(commitSha)) {
+                githubSnapshots.set(commitSha, githubSnapshot(commitSha));
+            }
+            return githubSnapshots.get(commitSha);
+        }
+    };
+
+    function storageNotFound(path) {
+        return {status: 404, message: 'Not Found', response: {message: `${path} not found`}};
+    }
+
+    // exists标记与其他422错误（路径、内容校验失败等）区分，只有前者视为写入冲突
+    function storageExists(path) {
+        return {status: 422, message: `File ${path} already exists`, response: {}, exists: true};
+    }
+
+    // 基于 path -> 内容 对象的存储后端，load和save读写全部文件
+    function fileMapBackend(load, save) {
+        async function stat(path) {
+            const files = await load();
+            if (!Object.prototype.hasOwnProperty.call(files, path)) {
+                throw storageNotFound(path);
+            }
+            const content = files[path];
+            return {path, sha: await gitBlobSha(content), size: new TextEncoder().encode(content).length};
+        }
+
+        async function put(path, content) {
+            const files = await load();
+            files[path] = String(content);
+            await save(files);
+            return {sha: await gitBlobSha(files[path])};
+        }
+
+        return {
+            async read(path) {
+                const {sha} = await stat(path);
+                return {content: (await load())[path], sha};
+            },
+            stat,
+            async create(path, content) {
+                if (Object.prototype.hasOwnProperty.call(await load(), path)) {
+                    throw storageExists(path);
+                }
+                return put(path, content);
+            },
+            async write(path, content, sha = null) {
+                const current = await stat(path);
+                if (sha && sha !== current.sha) {
+                    throw {status: 409, message: `${path} does not match ${sha}`, response: {}};
+                }
+                return put(path, content);
+            },
+            async delete(path) {
+                await stat(path);
+                const files = await load();
+                delete files[path];
+                await save(files);
+                return null;
+            },
+            async list(path) {
+                const files = await load();
+                const result = [];
+                for (const [filePath, content] of Object.entries(files)) {
+                    const name = filePath.slice(path.length + 1);
+                    if (filePath.startsWith(`${path}/`) && !name.includes('/')) {
+                        result.push({name, path: filePath, size: new TextEncoder().encode(content).length, sha: await gitBlobSha(content)});
+                    }
+                }
+                if (result.length === 0) {
+                    throw storageNotFound(path);
+                }
+                return result;
+            }
+        };
+    }
+
+    // 内存存储后端，用于测试以及不需要持久化的数据，files为初始文件 {path: content}
+    function memoryBackend(files = {}) {
+        let data = {...files};
+        return fileMapBackend(() => ({...data}), changed => data = changed);
+    }
+
+    // 保存在脚本存储（GM_setValue）中的后端，数据只在当前浏览器中可见，storageKey区分不同的数据库
+    function gmStorageBackend(storageKey = 'CSV_DB_FILES') {
+        return fileMapBackend(async () => ({...await GM_getValue(storageKey, {})}), files => GM_setValue(storageKey, files));
+    }
+
+    // 表结构缓存，每个存储后端一份，path -> {sha, schema, checkedAt}，表结构文件不存在时sha和schema为null
+    // 同一存储后端的所有csvDb实例共用，checkedAt为上次向存储后端确认的时间
+    const schemaCaches = new WeakMap();
+
+    // 表结构缓存在确认后的有效时间，超过后下一次操作重新检查，fresh模式下每次操作都检查
+    const SCHEMA_REVALIDATE_INTERVAL = 60 * 1000;
+
+    function schemaCacheOf(backend) {
+        if (!schemaCaches.has(backend)) {
+            schemaCaches.set(backend, new Map());
+        }
+        return schemaCaches.get(backend);
+    }
+
+    // 写入冲突时默认的重试次数
+    const DEFAULT_CONFLICT_RETRIES = 3;
+
+    // options.retries为写入冲突时重新读取并执行修改的次数
+    // options.onOperation在每次操作完成后回调 {operation, table, requests, elapsed}，requests为该操作的API请求数
+    // options.fresh为true时所有读取都跳过ETag缓存，写入冲突后的重试总是跳过缓存
+    // options.offlineQueue为true时网络不可用的insertInto、update、deleteFrom、updateBy、upsert会写入离线队列（见writeQueue），
+    //     execute抛出CsvQueuedError，只支持GitHub后端
+    // options.backend为存储后端，默认为githubBackend，也可以是memoryBackend()、gmStorageBackend()或自定义实现
+    // options.dialect为CSV方言，可以是预设名（csv、tsv、semicolon）或部分字段，见CsvDialect
+    //     新建的文件使用该方言，读写已有文件时未指定的字段（分隔符、换行符、BOM）从文件内容识别，修改后保持原有格式
+    function csvDb(csvPath, options = {}) {
+        const {
+            retries = DEFAULT_CONFLICT_RETRIES,
+            onOperation = null,
+            fresh = false,
+            offlineQueue = false,
+            backend = githubBackend,
+            dialect = null
+        } = options;
+        // 提前检查方言配置
+        const newFileDialect = CsvDialect.of(dialect);
+        const detectDialect = content => CsvDialect.detect(content, dialect);
+        const schemas = schemaCacheOf(backend);
+        // 当前操作中已经检查过的表结构文件路径，操作过程中不再重复检查
+        const validatedSchemas = new Set();
+        // 遮蔽模块级的同名文件操作，所有读写都经过存储后端
+        const getFile = (path, freshRead = fresh) => backend.read(path, {fresh: freshRead});
+        const getFileInfo = path => backend.stat(path, {fresh});
+        const listFiles = path => backend.list(path, {fresh});
+        const getFileContent = async path => (await getFile(path)).content;
+        const createFile = (path, content) => backend.create(path, content);
+        const updateFile = (path, content, sha = null) => backend.write(path, content, sha);
+        const deleteFile = path => backend.delete(path);
+
+
+        function schemaPath(csvFileName) {
+            return `${csvPath}/${csvFileName}.schema.json`;
+        }
+
+        // 读取表结构，没有表结构文件的表所有列都视为字符串
+        async function readSchema(csvFileName) {
+            return (await loadSchema(csvFileName)) || {types: {}};
+        }
+
+        // 表结构文件不存在时返回null，不存在的结果同样缓存
+        // 其他客户端可能修改表结构，缓存超过有效时间后按sha重新检查，未修改时只需一次条件请求
+        async function loadSchema(csvFileName) {
+            const path = schemaPath(csvFileName);
+            const cached = schemas.get(path);
+            const expired = !cached || fresh || Date.now() - cached.checkedAt >= SCHEMA_REVALIDATE_INTERVAL;
+            if (!cached || (expired && !validatedSchemas.has(path))) {
+                let entry = {sha: null, schema: null};
+                try {
+                    const file = await getFile(path);
+                    entry = cached && cached.sha === file.sha ? cached : {sha: file.sha, schema: JSON.parse(file.content)};
+                } catch (error) {
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                }
+                schemas.set(path, {...entry, checkedAt: Date.now()});
+                validatedSchemas.add(path);
+            }
+            return schemas.get(path).schema;
+        }
+
+        // 检查表头以及表结构，返回规范化后的表结构，没有表结构时返回null
+        function checkSchema(headers, schema) {
+            CsvUtils.checkHeaders(headers);
+            if (!schema) {
+                return null;
+            }
+            const types = schema.types || {};
+            CsvCodec.checkTypes(headers, types);
+            Object.entries(schema.generators || {}).forEach(([field, name]) => {
+                if (!headers.includes(field)) {
+                    throw new CsvDbError(`Column "${field}" in generators does not exist in headers`);
+                }
+                if (!CsvGenerators.hasOwnProperty(name)) {
+                    throw new CsvDbError(`Unknown generator "${name}" of column "${field}"`);
+                }
+            });
+            Object.keys(schema.defaults || {}).forEach(field => {
+                if (!headers.includes(field)) {
+                    throw new CsvDbError(`Column "${field}" in defaults does not exist in headers`);
+                }
+            });
+            // 读取未分片的表总是下载整个文件，索引无法减少读取
+            if ((schema.indexes || []).length > 0 && !schema.shard) {
+                throw new CsvDbError("Indexes are only supported on sharded tables");
+            }
+            (schema.indexes || []).forEach(field => {
+                if (!headers.includes(field)) {
+                    throw new CsvDbError(`Column "${field}" in indexes does not exist in headers`);
+                }
+            });
+            const tableSchema = {...schema, types, ...CsvConstraints.normalize(headers, schema)};
+            if (schema.shard) {
+                CsvSharding.check(headers, schema.shard);
+                Object.entries(schema.generators || {}).forEach(([field, name]) => {
+                    // 各分片独立计算自增值会产生重复ID
+                    if (name === 'autoIncrement') {
+                        throw new CsvDbError(`Generator autoIncrement of column "${field}" is not supported on sharded tables`);
+                    }
+                    if (field === schema.shard.key && name !== 'now') {
+                        throw new CsvDbError(`Generator "${name}" is not supported on shard key "${field}"`);
+                    }
+                });
+                // 约束只在分片内检查，不包含分片键的约束无法保证
+                CsvConstraints.of(tableSchema).forEach(({name, fields}) => {
+                    if (!fields.includes(schema.shard.key)) {
+                        throw new CsvDbError(`Constraint ${name} (${fields.join(', ')}) must include shard key "${schema.shard.key}"`);
+                    }
+                });
+                // 分片在第一次写入时创建，需要记录表头
+                tableSchema.headers = [...headers];
+            }
+            return tableSchema;
+        }
+
+        async function writeSchema(csvFileName, schema) {
+            if (!schema) {
+                return;
+            }
+            const path = schemaPath(csvFileName);
+            const {sha} = await saveFile(path, JSON.stringify(schema, null, 2));
+            schemas.set(path, {sha, schema, checkedAt: Date.now()});
+            validatedSchemas.add(path);
+        }
+
+        // 文件存在则更新，不存在则创建
+        async function saveFile(path, content) {
+            try {
+                return await updateFile(path, content);
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+                return await createFile(path, content);
+            }
+        }
+
+        function indexPath(csvFileName, field) {
+            return `${csvPath}/${csvFileName}.${field}.idx`;
+        }
+
+        async function readIndex(csvFileName, field) {
+            try {
+                const index = JSON.parse(await getFileContent(indexPath(csvFileName, field)));
+                // 旧版本按行位置记录的索引不再使用
+                return index.shards ? index : null;
+            } catch (error) {
+                if (error.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        }
+
+        // 分片内容变化后更新表的所有索引中该分片的记录
+        async function updateIndexes(csvFileName, schema, shardId, csvContent, sha) {
+            for (const field of schema.indexes || []) {
+                const keys = CsvIndex.keys(csvContent, field, schema.types[field], detectDialect(csvContent));
+                const index = CsvIndex.update(await readIndex(csvFileName, field), field, shardId, sha, keys);
+                await saveFile(indexPath(csvFileName, field), JSON.stringify(index));
+            }
+        }
+
+        function shardName(csvFileName, shardId) {
+            return `${csvFileName}/part-${shardId}`;
+        }
+
+        // 返回 分片ID -> 分片文件sha
+        async function listShards(csvFileName) {
+            try {
+                const files = await listFiles(`${csvPath}/${csvFileName}`);
+                const shards = new Map();
+                files.forEach(file => {
+                    const match = file.name.match(/^part-(.+)\.csv$/);
+                    if (match) {
+                        shards.set(match[1], file.sha);
+                    }
+                });
+                return shards;
+            } catch (error) {
+                if (error.status === 404) {
+                    return new Map();
+                }
+                throw error;
+            }
+        }
+
+        // 返回表对应的CSV文件 [{fileName, shardId}]，分片表为所有已有分片，未分片的表shardId为null
+        async function tableFiles(csvFileName, schema) {
+            if (!schema.shard) {
+                return [{fileName: csvFileName, shardId: null}];
+            }
+            return [...(await listShards(csvFileName)).keys()].map(shardId => ({fileName: shardName(csvFileName, shardId), shardId}));
+        }
+
+        // 按各分片的内容 [{shardId, csvContent, sha}] 重新生成索引
+        async function rebuildIndex(csvFileName, schema, field, shardContents) {
+            let index = {field, shards: {}, entries: {}};
+            for (const {shardId, csvContent, sha} of shardContents) {
+                const keys = CsvIndex.keys(csvContent, field, schema.types[field], detectDialect(csvContent));
+                index = CsvIndex.update(index, field, shardId, sha, keys);
+            }
+            await saveFile(indexPath(csvFileName, field), JSON.stringify(index));
+        }
+
+        async function deleteIndex(csvFileName, field) {
+            try {
+                await deleteFile(indexPath(csvFileName, field));
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+            }
+        }
+
+        // 查询条件中包含分片键的eq、in条件时只返回对应的分片，包含索引列的eq、in条件时只返回索引中有匹配值的分片
+        async function findShards(csvFileName, schema, lookups) {
+            const shards = await listShards(csvFileName);
+            let shardIds = [...shards.keys()];
+            const keyLookup = lookups.find(({field, values}) => {
+                return field === schema.shard.key && values.every(v => !CsvUtils.isEmptyValue(v));
+            });
+            if (keyLookup) {
+                try {
+                    const keyType = schema.types[schema.shard.key];
+                    const targets = new Set(keyLookup.values.map(v => CsvSharding.shardOf(schema.shard, v, keyType)));
+                    shardIds = shardIds.filter(shardId => targets.has(shardId));
+                } catch (error) {
+                    // 无法计算分片时读取所有分片
+                }
+            }
+            const indexes = schema.indexes || [];
+            const indexLookup = lookups.find(({field, values}) => {
+                return indexes.includes(field) && values.every(v => v !== null && v !== undefined);
+            });
+            if (!indexLookup || shardIds.length === 0) {
+                return shardIds;
+            }
+            let values;
+            try {
+                values = indexLookup.values.map(v => CsvCodec.encode(indexLookup.field, schema.types[indexLookup.field], v));
+            } catch (error) {
+                return shardIds;
+            }
+            const index = await readIndex(csvFileName, indexLookup.field);
+            if (!index) {
+                return shardIds;
+            }
+            const located = new Set(CsvIndex.locate(index, values, shards));
+            return shardIds.filter(shardId => located.has(shardId));
+        }
+
+        // 读取CSV文件，返回 {content, dialect}
+        async function readCsvFile(fileName) {
+            const content = await getFileContent(`${csvPath}/${fileName}.csv`);
+            return {content, dialect: detectDialect(content)};
+        }
+
+        async function readTableHeaders(csvFileName) {
+            const schema = await readSchema(csvFileName);
+            const {content, dialect} = await readTableContent(csvFileName, schema, []);
+            return headersOf(content, dialect);
+        }
+
+        function headersOf(content, dialect) {
+            const headerLine = content.slice(0, content.length - CsvUtils.skipHeader(content, dialect).length);
+            return CsvUtils.parseCsv(headerLine, null, dialect)[0] || [];
+        }
+
+        // 读取表内容，返回 {content, dialect}，分片表会合并所有相关分片的内容
+        async function readTableContent(csvFileName, schema, lookups) {
+            if (!schema.shard) {
+                return readCsvFile(csvFileName);
+            }
+            const shards = [];
+            for (const shardId of await findShards(csvFileName, schema, lookups)) {
+                shards.push(await readCsvFile(shardName(csvFileName, shardId)));
+            }
+            // 按第一个分片的方言合并，方言不同的分片重新编码
+            const tableDialect = shards.length > 0 ? shards[0].dialect : newFileDialect;
+            const sameFormat = ({delimiter, quote, escape}) => {
+                return delimiter === tableDialect.delimiter && quote === tableDialect.quote && escape === tableDialect.escape;
+            };
+            const bodies = shards.map(({content, dialect}) => {
+                if (sameFormat(dialect)) {
+                    return CsvUtils.skipHeader(content, dialect);
+                }
+                return CsvUtils.parseCsv(content, null, dialect).slice(1)
+                    .map(values => '\n' + CsvUtils.toCsvLine(values, tableDialect))
+                    .join('');
+            });
+            return {content: [CsvUtils.toCsvLine(schema.headers, tableDialect), ...bodies].join('\n'), dialect: tableDialect};
+        }
+
+        // 返回 {result, sha}，没有修改时sha为null
+        async function modifyFile(fileName, schema, csvHandler) {
+            const path = `${csvPath}/${fileName}.csv`;
+            csvHandler.handler.columnTypes = () => schema.types;
+            csvHandler.handler.constraints = () => CsvConstraints.of(schema);
+            csvHandler.handler.generators = () => schema.generators || {};
+            csvHandler.handler.defaults = () => schema.defaults || {};
+            const {result, sha} = await retryOnConflict(path, async (attempt) => {
+                let file = null;
+                try {
+                    file = await getFile(path, fresh || attempt > 0);
+                } catch (error) {
+                    // 分片文件在第一次写入时创建
+                    if (error.status !== 404 || !schema.shard) {
+                        throw error;
+                    }
+                }
+                const fileDialect = file ? detectDialect(file.content) : newFileDialect;
+                csvHandler.handler.dialect = () => fileDialect;
+                const result = csvHandler.execute(file ? file.content : CsvUtils.toCsvLine(schema.headers, fileDialect));
+                if (result.affectedCount === 0) {
+                    return {result, sha: null};
+                }
+                // 基于读取时的sha更新，期间文件被修改则冲突
+                const response = file
+                    ? await updateFile(path, result.csvContent, file.sha)
+                    : await createFile(path, result.csvContent);
+                return {result, sha: response.sha};
+            });
+            return {result, sha};
+        }
+
+        // 写入冲突时重新读取文件并执行action(attempt)，超过重试次数后抛出CsvConflictError
+        // Contents API在sha不匹配时返回409，创建已存在的文件时返回422
+        async function retryOnConflict(path, action) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await action(attempt);
+                } catch (error) {
+                    if (error.status !== 409 && !(error.status === 422 && error.exists)) {
+                        throw error;
+                    }
+                    if (attempt >= retries) {
+                        throw new CsvConflictError(path, `File "${path}" was modified concurrently, gave up after ${retries} retries`);
+                    }
+                }
+            }
+        }
+
+        // lookups为null时只修改新增行所在的分片（insertInto、upsert），否则修改满足查询条件的已有分片
+        // 分片表的约束都包含分片键，只需在分片内检查，修改分片键导致行需要移动到其他分片时会抛出异常
+        async function modifyTable(csvFileName, csvHandler, lookups = null) {
+            const schema = await readSchema(csvFileName);
+            if (!schema.shard) {
+                return (await modifyFile(csvFileName, schema, csvHandler)).result;
+            }
+
+            const shardKey = schema.shard.key;
+            const keyType = schema.types[shardKey];
+            const {appendRows, handleData} = csvHandler.handler;
+            const now = CsvGenerators.now({type: keyType});
+            const fillShardKey = row => {
+                if (!CsvUtils.isEmptyValue(row[shardKey])) {
+                    return row;
+                }
+                const defaults = schema.defaults || {};
+                if (defaults.hasOwnProperty(shardKey)) {
+                    return {...row, [shardKey]: defaults[shardKey]};
+                }
+                if ((schema.generators || {})[shardKey] === 'now') {
+                    return {...row, [shardKey]: now};
+                }
+                return row;
+            };
+            const shardOf = row => CsvSharding.shardOf(schema.shard, row[shardKey], keyType);
+            const shards = lookups === null
+                ? [...new Set(appendRows().map(fillShardKey).map(shardOf))]
+                : await findShards(csvFileName, schema, lookups);
+
+            const total = {affectedCount: 0, insertedRows: []};
+            try {
+                for (const shardId of shards) {
+                    csvHandler.handler.appendRows = () => {
+                        return appendRows().map(fillShardKey).filter(row => shardOf(row) === shardId);
+                    };
+                    csvHandler.handler.handleData = (row) => {
+                        const newRow = handleData(row);
+                        if (newRow !== null && shardOf(newRow) !== shardId) {
+                            throw new CsvDbError(`Cannot move row to another shard by changing shard key "${shardKey}"`);
+                        }
+                        return newRow;
+                    };
+                    const {result, sha} = await modifyFile(shardName(csvFileName, shardId), schema, csvHandler);
+                    if (sha) {
+                        await updateIndexes(csvFileName, schema, shardId, result.csvContent, sha);
+                    }
+                    total.affectedCount += result.affectedCount;
+                    total.insertedRows.push(...result.insertedRows);
+                }
+            } finally {
+                csvHandler.handler.appendRows = appendRows;
+                csvHandler.handler.handleData = handleData;
+            }
+            return total;
+        }
+
+        // 新建表文件的内容，只有表头
+        function newTableContent(headers) {
+            return CsvDialect.join([CsvUtils.toCsvLine(headers, newFileDialect), ''], newFileDialect);
+        }
+
+        async function createIfNotExist(csvFileName, headers, schema) {
+            const tableSchema = checkSchema(headers, schema);
+            // 表结构文件存在即表已存在
+            if (await loadSchema(csvFileName)) {
+                return false;
+            }
+            // 分片表没有主文件，没有表结构文件即不存在
+            if (tableSchema && tableSchema.shard) {
+                await writeSchema(csvFileName, tableSchema);
+                return true;
+            }
+            const path = `${csvPath}/${csvFileName}.csv`;
+            try {
+                const file = tableSchema ? await getFile(path) : await getFileInfo(path);
+                // 早于表结构功能创建的表只有CSV文件，按文件中的表头补写表结构，使约束和类型生效
+                if (tableSchema) {
+                    const existingSchema = checkSchema(headersOf(file.content, detectDialect(file.content)), schema);
+                    await writeSchema(csvFileName, existingSchema);
+                }
+                return false;
+            } catch (error) {
+                if (error.status === 404) {
+                    try {
+                        await createFile(path, newTableContent(headers));
+                        await writeSchema(csvFileName, tableSchema);
+                        return true;
+                    } catch (createError) {
+                        throw createError;
+                    }
+                } else {
+                    throw error;
+                }
+            }
+        }
+
+        // schema示例: {types: {id: 'int', createTime: 'timestamp'}, primaryKey: 'id', unique: ['email', ['a', 'b']],
+        //     generators: {id: 'autoIncrement', createTime: 'now'}, defaults: {status: 'new'}}
+        // 支持的类型: string, int, float, boolean, date, timestamp, json，未声明类型的列为string
+        // 支持的生成器: autoIncrement, uuid, ulid, now
+        // 分片表示例: {shard: {key: 'domain', type: 'hash', count: 8}, indexes: ['name']}，规则见CsvSharding，索引见CsvIndex
+        async function create(csvFileName, headers, schema) {
+            const path = `${csvPath}/${csvFileName}.csv`;
+            const tableSchema = checkSchema(headers, schema);
+            const csvContent = newTableContent(headers);
+            if (tableSchema && tableSchema.shard) {
+                await writeSchema(csvFileName, tableSchema);
+                return;
+            }
+            await createFile(path, csvContent);
+            await writeSchema(csvFileName, tableSchema);
+        }
+
+
+        function update(csvFileName) {
+            const updateFields = {};
+            const csvHandler = csvModifyHandler();
+            const csvFilter = csvDataFilter();
+            csvHandler.handler.shouldHandleData = (row) => {
+                return csvFilter.test(row);
+            };
+            csvHandler.handler.handleData = (row) => {
+                Object.entries(updateFields).forEach(([field, newVal]) => {
+                    row[field] = newVal;
+                });
+                return row;
+            };
+            csvHandler.handler.appendRows = () => [];
+
+            function set(field, value) {
+                updateFields[field] = value;
+                return this;
+            }
+
+            async function execute() {
+                const {affectedCount} = await modifyTable(csvFileName, csvHandler, csvFilter.lookups());
+                return affectedCount;
+            }
+
+            return queueable('update', [csvFileName], execute, {
+                set: set,
+                ...csvConditionBuilder(csvFilter)
+            });
+        }
+
+        function updateBy(csvFileName, fieldName) {
+            const updateDatas = {};
+            const csvHandler = csvModifyHandler();
+            csvHandler.handler.shouldHandleData = (row) => {
+                if (row[fieldName] === null || row[fieldName] === undefined) {
+                    return false;
+                }
+                return updateDatas.hasOwnProperty(row[fieldName]);
+            }
+            csvHandler.handler.handleData = (row) => {
+                return updateDatas[row[fieldName]];
+            }
+            csvHandler.handler.appendRows = () => [];
+
+            function value(data) {
+                updateDatas[data[fieldName]] = data;
+                return this;
+            }
+
+            async function execute() {
+                const lookups = [{field: fieldName, values: Object.keys(updateDatas)}];
+                const {affectedCount} = await modifyTable(csvFileName, csvHandler, lookups);
+                return affectedCount;
+            }
+
+            return queueable('updateBy', [csvFileName, fieldName], execute, {
+                value: value
+            });
+        }
+
+        function deleteFrom(csvFileName) {
+            const csvHandler = csvModifyHandler();
+            const csvFilter = csvDataFilter();
+            csvHandler.handler.shouldHandleData = (row) => {
+                return csvFilter.test(row);
+            };
+            csvHandler.handler.handleData = (row) => null;
+            csvHandler.handler.appendRows = () => [];
+
+            async function execute() {
+                const {affectedCount} = await modifyTable(csvFileName, csvHandler, csvFilter.lookups());
+                return affectedCount;
+            }
+
+            return queueable('deleteFrom', [csvFileName], execute, {
+                ...csvConditionBuilder(csvFilter)
+            });
+        }
+
+        function insertInto(csvFileName) {
+            const csvHandler = csvModifyHandler();
+            const appendRows = [];
+            csvHandler.handler.shouldHandleData = () => false;
+            csvHandler.handler.handleData = (row) => row;
+            csvHandler.handler.appendRows = () => appendRows;
+
+            function value(data) {
+                appendRows.push(data);
+                return this;
+            }
+
+            // insertedRows为实际写入的行，包含生成的ID和默认值
+            async function executeReturning() {
+                const {affectedCount, insertedRows} = await modifyTable(csvFileName, csvHandler);
+                return {
+                    affectedCount,
+                    insertedRows
+                };
+            }
+
+            // execute返回插入的行数，需要生成的ID等写入后的值时使用executeReturning
+            async function execute() {
+                return (await executeReturning()).affectedCount;
+            }
+
+            return queueable('insertInto', [csvFileName], execute, {
+                value
+            }, executeReturning);
+        }
+
+        // 按keyFields匹配，存在则合并更新，不存在则插入，在一次读写中完成
+        // 分片表只在新行所属的分片中查找已有行，keyFields应包含分片键
+        function upsert(csvFileName, keyFields) {
+            const queueArgs = [csvFileName, keyFields];
+            keyFields = [].concat(keyFields);
+            const upsertDatas = new Map();
+            const matchedKeys = new Set();
+            let removedCount = 0;
+            const csvHandler = csvModifyHandler();
+            const keyOf = row => JSON.stringify(keyFields.map(field => CsvUtils.normalizeValue(row[field])));
+            csvHandler.handler.shouldHandleData = (row) => {
+                return upsertDatas.has(keyOf(row));
+            };
+            // data中值为函数的字段以合并后的行为参数计算，可以根据已有行的值生成新值
+            const mergeRow = (row, data) => {
+                const entries = Object.entries(data);
+                const merged = {...row, ...Object.fromEntries(entries.filter(([, value]) => typeof value !== 'function'))};
+                entries
+                    .filter(([, value]) => typeof value === 'function')
+                    .forEach(([field, compute]) => merged[field] = compute({...merged}));
+                return merged;
+            };
+            csvHandler.handler.handleData = (row) => {
+                const key = keyOf(row);
+                // 同一键有多行时（如添加主键之前写入的重复数据）合并到第一行，删除其余行
+                if (matchedKeys.has(key)) {
+                    removedCount++;
+                    return null;
+                }
+                matchedKeys.add(key);
+                return mergeRow(row, upsertDatas.get(key).data);
+            };
+            csvHandler.handler.reset = () => {
+                matchedKeys.clear();
+                removedCount = 0;
+            };
+            csvHandler.handler.appendRows = () => {
+                return Array.from(upsertDatas.entries())
+                    .filter(([key]) => !matchedKeys.has(key))
+                    .map(([, {data, insertData}]) => mergeRow(insertData, data));
+            };
+
+            // insertData中的字段只在插入时写入，例如创建时间
+            function value(data, insertData = {}) {
+                keyFields.forEach(field => {
+                    if (data[field] === null || data[field] === undefined) {
+                        throw new Error(`Upsert key field "${field}" cannot be empty`);
+                    }
+                    if (typeof data[field] === 'function') {
+                        throw new Error(`Upsert key field "${field}" cannot be computed`);
+                    }
+                });
+                const key = keyOf(data);
+                const previous = upsertDatas.get(key);
+                upsertDatas.set(key, {
+                    data: {...(previous && previous.data), ...data},
+                    insertData: {...(previous && previous.insertData), ...insertData}
+                });
+                return this;
+            }
+
+            async function execute() {
+                const {affectedCount, insertedRows} = await modifyTable(csvFileName, csvHandler);
+                const insertedCount = insertedRows.length;
+                return {
+                    affectedCount,
+                    insertedCount,
+                    updatedCount: affectedCount - insertedCount - removedCount,
+                    insertedRows
+                };
+            }
+
+            return queueable('upsert', queueArgs, execute, {
+                value
+            });
+        }
+
+        // 修改表结构，所有操作在一次提交中重写CSV文件
+        function alterTable(csvFileName) {
+            const csvAlter = csvAlterHandler();
+            let schemaVersion = null;
+
+            // 分片表会依次修改所有分片，并同步表结构中记录的表头
+            async function execute() {
+                const schema = await readSchema(csvFileName);
+                let affectedCount = 0;
+                let newSchema = {...schema};
+                const newContents = [];
+                if (csvAlter.hasOperations()) {
+                    const files = await tableFiles(csvFileName, schema);
+                    if (schema.shard) {
+                        const result = csvAlter.execute(CsvUtils.toCsvLine(schema.headers), schema);
+                        newSchema = {...result.schema, headers: result.headers};
+                    }
+                    for (const {fileName, shardId} of files) {
+                        const path = `${csvPath}/${fileName}.csv`;
+                        const result = await retryOnConflict(path, async (attempt) => {
+                            const file = await getFile(path, fresh || attempt > 0);
+                            const result = csvAlter.execute(file.content, schema, detectDialect(file.content));
+                            const response = await updateFile(path, result.csvContent, file.sha);
+                            return {...result, sha: response.sha};
+                        });
+                        newContents.push({
+                            shardId,
+                            csvContent: result.csvContent,
+                            sha: result.sha
+                        });
+                        affectedCount += result.affectedCount;
+                        if (!schema.shard) {
+                            newSchema = result.schema;
+                        }
+                    }
+                }
+
+                if (schemaVersion !== null) {
+                    newSchema.version = schemaVersion;
+                }
+                if (JSON.stringify(newSchema) !== JSON.stringify(schema)) {
+                    await writeSchema(csvFileName, newSchema);
+                }
+                if (schema.shard) {
+                    // 删除或重命名的列的索引随之删除，分片内容都已重写，其余索引按新内容重建
+                    const newIndexes = newSchema.indexes || [];
+                    for (const field of (schema.indexes || []).filter(field => !newIndexes.includes(field))) {
+                        await deleteIndex(csvFileName, field);
+                    }
+                    if (csvAlter.hasOperations()) {
+                        for (const field of newIndexes) {
+                            await rebuildIndex(csvFileName, newSchema, field, newContents);
+                        }
+                    }
+                }
+                return affectedCount;
+            }
+
+            return {
+                execute: () => track('alterTable', csvFileName, execute),
+                addColumn: function (fieldName, defaultValue = '', type) {
+                    csvAlter.addColumn(fieldName, defaultValue, type);
+                    return this;
+                },
+                dropColumn: function (fieldName) {
+                    csvAlter.dropColumn(fieldName);
+                    return this;
+                },
+                renameColumn: function (fieldName, newFieldName) {
+                    csvAlter.renameColumn(fieldName, newFieldName);
+                    return this;
+                },
+                reorderColumns: function (...fieldNames) {
+                    csvAlter.reorderColumns(fieldNames);
+                    return this;
+                },
+                version: function (version) {
+                    schemaVersion = version;
+                    return this;
+                }
+            }
+        }
+
+        // 为已有的分片表创建索引，索引文件为 "表名.列名.idx"
+        async function createIndex(csvFileName, field) {
+            const schema = await readSchema(csvFileName);
+            const indexes = schema.indexes || [];
+            if (indexes.includes(field)) {
+                return false;
+            }
+            if (!schema.shard) {
+                throw new CsvDbError("Indexes are only supported on sharded tables");
+            }
+            if (!schema.headers.includes(field)) {
+                throw new CsvDbError(`Column "${field}" does not exist`);
+            }
+            const shardContents = [];
+            for (const {fileName, shardId} of await tableFiles(csvFileName, schema)) {
+                const file = await getFile(`${csvPath}/${fileName}.csv`);
+                shardContents.push({shardId, csvContent: file.content, sha: file.sha});
+            }
+            await rebuildIndex(csvFileName, schema, field, shardContents);
+            await writeSchema(csvFileName, {...schema, indexes: [...indexes, field]});
+            return true;
+        }
+
+        async function dropIndex(csvFileName, field) {
+            const schema = await readSchema(csvFileName);
+            const indexes = schema.indexes || [];
+            if (!indexes.includes(field)) {
+                return false;
+            }
+            await writeSchema(csvFileName, {...schema, indexes: indexes.filter(f => f !== field)});
+            if (schema.shard) {
+                await deleteIndex(csvFileName, field);
+            }
+            return true;
+        }
+
+        // 按版本号依次执行未执行过的迁移，已执行的版本记录在表结构文件中
+        // migrations示例: [{version: 1, up: (table, db) => table.addColumn('tags', '')}]
+        // 新建表时在schema中传入最新的version即可跳过所有迁移
+        async function migrate(csvFileName, migrations) {
+            const schema = await readSchema(csvFileName);
+            let currentVersion = schema.version || 0;
+            const pending = migrations
+                .filter(migration => migration.version > currentVersion)
+                .sort((a, b) => a.version - b.version);
+
+            for (const migration of pending) {
+                const table = alterTable(csvFileName).version(migration.version);
+                await migration.up(table, db);
+                await table.execute();
+                currentVersion = migration.version;
+            }
+            return currentVersion;
+        }
+
+        function selectFrom(csvFileName, ...fieldNames) {
+            const csvFetcher = csvDataFetcher();
+            const csvFilter = csvDataFilter();
+            const havingFilter = csvDataFilter();
+            const aggregations = [];
+            const orders = [];
+            const joins = [];
+            csvFetcher.handler.shouldHandleData = (row) => {
+                return csvFilter.test(row);
+            };
+            csvFetcher.handler.aggregations = () => aggregations;
+            csvFetcher.handler.orders = () => orders;
+            csvFetcher.handler.shouldHandleGroup = (row) => {
+                return havingFilter.test(row);
+            };
+            csvFetcher.handler.selectField = () => {
+                return fieldNames.length === 0 ? null : fieldNames;
+            }
+            // 构造器上的调用记录，历史查询时在快照上重放
+            const calls = [];
+            let asOfTarget = null;
+
+            function offset(offset) {
+                if (offset < 0) throw new Error("Offset cannot be negative");
+                csvFetcher.handler.lineOffset = () => offset;
+                return this;
+            }
+
+            function limit(limit) {
+                if (limit < 0) throw new Error("Limit cannot be negative");
+                csvFetcher.handler.lineLimit = () => limit;
+                return this;
+            }
+
+            // 重新指定排序，options: {nulls: 'first' | 'last', collation: 'auto' | 'numeric' | 'lexical' | 'locale', locale}
+            function order(fieldName, desc, options) {
+                orders.length = 0;
+                return thenOrder.call(this, fieldName, desc, options);
+            }
+
+            // 追加次级排序
+            function thenOrder(fieldName, desc = false, options = {}) {
+                const {nulls = 'last', collation = 'auto', locale} = options;
+                if (nulls !== 'first' && nulls !== 'last') {
+                    throw new Error(`Unknown nulls ordering: ${nulls}`);
+                }
+                if (!['auto', 'numeric', 'lexical', 'locale'].includes(collation)) {
+                    throw new Error(`Unknown collation: ${collation}`);
+                }
+                orders.push({field: fieldName, desc: !!desc, nulls, collation, locale});
+                return this;
+            }
+
+            // 内连接，localKeys可以引用之前关联表的字段（如 "users.groupId"），多个关联字段时传数组
+            function join(tableName, localKeys, foreignKeys, alias = tableName) {
+                addJoin('inner', tableName, localKeys, foreignKeys, alias);
+                return this;
+            }
+
+            function leftJoin(tableName, localKeys, foreignKeys, alias = tableName) {
+                addJoin('left', tableName, localKeys, foreignKeys, alias);
+                return this;
+            }
+
+            function addJoin(type, tableName, localKeys, foreignKeys, alias) {
+                localKeys = [].concat(localKeys);
+                foreignKeys = [].concat(foreignKeys);
+                if (localKeys.length === 0 || localKeys.length !== foreignKeys.length) {
+                    throw new Error("Join keys must be non-empty and of the same length");
+                }
+                joins.push({type, table: tableName, alias, localKeys, foreignKeys});
+            }
+
+            function groupBy(...fields) {
+                csvFetcher.handler.groupFields = () => fields;
+                return this;
+            }
+
+            // 过滤聚合后的行，可以引用分组字段以及聚合结果的别名
+            function having(...groups) {
+                havingFilter.and(...groups);
+                return this;
+            }
+
+            function count(alias = 'count') {
+                aggregations.push({type: 'count', field: null, alias});
+                return this;
+            }
+
+            // 统计字段的非空值个数
+            function countOf(fieldName, alias = `count_${fieldName}`) {
+                aggregations.push({type: 'count', field: fieldName, alias});
+                return this;
+            }
+
+            function sum(fieldName, alias = `sum_${fieldName}`) {
+                aggregations.push({type: 'sum', field: fieldName, alias});
+                return this;
+            }
+
+            function avg(fieldName, alias = `avg_${fieldName}`) {
+                aggregations.push({type: 'avg', field: fieldName, alias});
+                return this;
+            }
+
+            function min(fieldName, alias = `min_${fieldName}`) {
+                aggregations.push({type: 'min', field: fieldName, alias});
+                return this;
+            }
+
+            function max(fieldName, alias = `max_${fieldName}`) {
+                aggregations.push({type: 'max', field: fieldName, alias});
+                return this;
+            }
+
+            // 查询指定commit（SHA、分支、标签）或时间点的数据，关联表与表结构也读取同一时间点的版本
+            function asOf(target) {
+                if (target === null || target === undefined) {
+                    throw new CsvDbError("asOf requires a commit or a date");
+                }
+                asOfTarget = target;
+                return this;
+            }
+
+            async function fetchAsOf() {
+                if (!backend.snapshot) {
+                    throw new CsvDbError("Time-travel queries are not supported by this backend");
+                }
+                const snapshot = backend.snapshot(await backend.resolveCommit(asOfTarget));
+                // 快照上的查询属于本次操作，不单独上报
+                const snapshotDb = csvDb(csvPath, {...options, backend: snapshot, onOperation: null});
+                const snapshotSelect = snapshotDb.selectFrom(csvFileName, ...fieldNames);
+                calls.forEach(({method, args}) => snapshotSelect[method](...args));
+                return snapshotSelect.fetch();
+            }
+
+            async function fetch() {
+                if (asOfTarget !== null) {
+                    return fetchAsOf();
+                }
+                const schema = await readSchema(csvFileName);
+                csvFetcher.handler.columnTypes = () => schema.types;
+                const joinedTables = await Promise.all(joins.map(async join => {
+                    const rows = await selectFrom(join.table).fetch();
+                    // 关联表为空时从表头取得字段，左连接未匹配的行仍包含关联表的所有字段
+                    const headers = rows.length > 0 ? Object.keys(rows[0]) : await readTableHeaders(join.table);
+                    return {...join, rows, headers};
+                }));
+                csvFetcher.handler.joins = () => joinedTables;
+                const {content, dialect} = await readTableContent(csvFileName, schema, csvFilter.lookups());
+                csvFetcher.handler.dialect = () => dialect;
+                return csvFetcher.fetch(content);
+            }
+
+            async function fetchOne() {
+                const values = await fetch();
+                return values.length > 0 ? values[0] : null;
+            }
+
+            const builder = {
+                offset,
+                limit,
+                order,
+                thenOrder,
+                join,
+                leftJoin,
+                groupBy,
+                having,
+                count,
+                countOf,
+                sum,
+                avg,
+                min,
+                max,
+                ...csvConditionBuilder(csvFilter)
+            };
+            Object.keys(builder).forEach(method => {
+                const original = builder[method];
+                builder[method] = function (...args) {
+                    calls.push({method, args});
+                    return original.apply(this, args);
+                };
+            });
+            builder.asOf = asOf;
+            builder.fetch = () => track('select', csvFileName, fetch);
+            builder.fetchOne = () => track('select', csvFileName, fetchOne);
+            return builder;
+
+        }
+
+        // 执行SQL语句，SELECT返回行数组，INSERT返回 {affectedCount, insertedRows}，UPDATE、DELETE返回影响行数
+        // 示例: query("SELECT domain, updateTime FROM cookie WHERE updateTime > ? ORDER BY updateTime DESC LIMIT 10", [time])
+        async function query(sql, params = []) {
+            const statement = CsvSqlParser.parse(sql, params);
+            // 去掉主表名前缀，关联表的字段保留 "别名.列名"
+            const resolve = name => name.startsWith(`${statement.alias || statement.table}.`)
+                ? name.slice((statement.alias || statement.table).length + 1)
+                : name;
+            switch (statement.type) {
+                case 'select':
+                    return compileSelect(statement, resolve).fetch();
+                case 'insert': {
+                    const builder = insertInto(statement.table);
+                    statement.rows.forEach(row => builder.value(row));
+                    return builder.executeReturning();
+                }
+                case 'update': {
+                    const builder = update(statement.table);
+                    Object.entries(statement.set).forEach(([field, value]) => builder.set(field, value));
+                    applyCondition(builder, statement.where, resolve);
+                    return builder.execute();
+                }
+                case 'delete': {
+                    const builder = deleteFrom(statement.table);
+                    applyCondition(builder, statement.where, resolve);
+                    return builder.execute();
+                }
+            }
+        }
+
+        function compileSelect(statement, resolve) {
+            const columns = statement.columns || [];
+            const fields = columns.map(column => {
+                if (column.aggregate || column.alias === column.field) {
+                    return column.aggregate ? column.alias : resolve(column.field);
+                }
+                return `${resolve(column.field)} as ${column.alias}`;
+            });
+            const builder = selectFrom(statement.table, ...fields);
+            const addAggregate = ({aggregate, field, alias}) => {
+                if (aggregate === 'count' && field === null) {
+                    builder.count(alias);
+                } else {
+                    builder[aggregate === 'count' ? 'countOf' : aggregate](resolve(field), alias);
+                }
+            };
+            columns.filter(column => column.aggregate).forEach(addAggregate);
+            // HAVING中的聚合函数使用SELECT中相同聚合的别名，SELECT中没有时作为不输出的列计算
+            const hidden = [];
+            const resolveHaving = name => {
+                if (typeof name === 'string') {
+                    return resolve(name);
+                }
+                const column = columns.concat(hidden).find(c => c.aggregate === name.aggregate && c.field === name.field);
+                if (column) {
+                    return column.alias;
+                }
+                const aggregate = {...name, alias: `$having_${name.alias}`};
+                hidden.push(aggregate);
+                addAggregate(aggregate);
+                return aggregate.alias;
+            };
+
+            statement.joins.forEach(join => {
+                const prefix = `${join.alias}.`;
+                const localKeys = [];
+                const foreignKeys = [];
+                join.on.forEach(([left, right]) => {
+                    const [foreign, local] = left.startsWith(prefix) ? [left, right] : [right, left];
+                    if (!foreign.startsWith(prefix)) {
+                        throw new CsvDbError(`Join condition "${left} = ${right}" must reference table "${join.alias}"`);
+                    }
+                    foreignKeys.push(foreign.slice(prefix.length));
+                    localKeys.push(resolve(local));
+                });
+                builder[join.type === 'left' ? 'leftJoin' : 'join'](join.table, localKeys, foreignKeys, join.alias);
+            });
+
+            applyCondition(builder, statement.where, resolve);
+            if (statement.groupBy.length > 0) {
+                builder.groupBy(...statement.groupBy.map(resolve));
+            }
+            if (statement.having) {
+                builder.having(group => applyCondition(group, statement.having, resolveHaving));
+            }
+            statement.orders.forEach(({field, desc, nulls}) => builder.thenOrder(resolve(field), desc, {nulls}));
+            if (statement.limit !== null) {
+                builder.limit(statement.limit);
+            }
+            if (statement.offset !== null) {
+                builder.offset(statement.offset);
+            }
+            return builder;
+        }
+
+        // 将条件表达式应用到条件构造器，顶层AND条件直接展开以便使用索引和分片裁剪
+        function applyCondition(builder, expression, resolve) {
+            if (expression === null) {
+                return;
+            }
+            switch (expression.type) {
+                case 'and':
+                    expression.items.forEach(item => applyCondition(builder, item, resolve));
+                    break;
+                case 'or':
+                    builder.or(...expression.items.map(item => group => applyCondition(group, item, resolve)));
+                    break;
+                case 'not':
+                    builder.not(group => applyCondition(group, expression.item, resolve));
+                    break;
+                default:
+                    if (expression.op === 'in' || expression.op === 'notIn') {
+                        builder[expression.op](resolve(expression.field), ...expression.values);
+                    } else if (expression.op === 'isNull' || expression.op === 'isNotNull') {
+                        builder[expression.op](resolve(expression.field));
+                    } else {
+                        builder[expression.op](resolve(expression.field), expression.value);
+                    }
+            }
+        }
+
+        // 回调中通过tx执行的所有修改作为一个commit提交，回调抛出异常时不会写入任何文件
+        // 事务开始后分支被其他提交更新时抛出CsvConflictError，回调中读取的始终是事务开始时的数据
+        // 示例: await db.transaction(async tx => { await tx.insertInto('a').value(row).execute(); await tx.deleteFrom('b').eq('id', 1).execute(); })
+        async function transaction(callback, message = "Transaction via Tampermonkey") {
+            if (!backend.transaction) {
+                throw new CsvDbError("Transactions are not supported by this backend");
+            }
+            const tx = backend.transaction();
+            await tx.begin();
+            const result = await callback(csvDb(csvPath, {...options, backend: tx.store}));
+            const paths = await tx.commit(message);
+            paths.forEach(path => schemas.delete(path));
+            return result;
+        }
+
+        // 为修改操作的构造器添加execute，开启离线队列时记录构造器上的调用，网络不可用时按调用记录写入队列
+        // 传入returning时同时添加executeReturning，以相同方式执行并返回详细结果
+        function queueable(operation, args, execute, builder, returning = null) {
+            const calls = [];
+            Object.keys(builder).forEach(method => {
+                const original = builder[method];
+                builder[method] = function (...callArgs) {
+                    calls.push({method, args: callArgs});
+                    return original.apply(this, callArgs);
+                };
+            });
+            builder.execute = () => track(operation, args[0], () => executeOrQueue(operation, args, calls, execute));
+            if (returning) {
+                builder.executeReturning = () => track(operation, args[0], () => executeOrQueue(operation, args, calls, returning));
+            }
+            return builder;
+        }
+
+        // 队列中有未同步的修改时先按顺序同步，仍无法连接时新的修改也进入队列以保证执行顺序
+        async function executeOrQueue(operation, args, calls, execute) {
+            if (!offlineQueue || backend !== githubBackend) {
+                return execute();
+            }
+            if (await writeQueue.flush()) {
+                try {
+                    return await writeQueue.run(execute);
+                } catch (error) {
+                    if (!writeQueue.isOffline(error)) {
+                        throw error;
+                    }
+                }
+            }
+            throw new CsvQueuedError(await writeQueue.add(csvPath, operation, args, calls));
+        }
+
+        // 统计一次操作发出的GitHub API请求数，嵌套的操作（如关联查询、迁移）只在最外层回调
+        // 计数基于全局请求数的差值，同时执行多个操作时会互相叠加
+        let operationDepth = 0;
+
+        async function track(operation, table, action) {
+            const startCount = githubRequestCount;
+            const startTime = Date.now();
+            if (operationDepth === 0) {
+                validatedSchemas.clear();
+            }
+            operationDepth++;
+            try {
+                return await action();
+            } finally {
+                operationDepth--;
+                if (operationDepth === 0 && onOperation) {
+                    onOperation({operation, table, requests: githubRequestCount - startCount, elapsed: Date.now() - startTime});
+                }
+            }
+        }
+
+        function tracked(operation, action) {
+            return (table, ...args) => track(operation, table, () => action(table, ...args));
+        }
+
+        const db = {
+            create: tracked('create', create),
+            createIfNotExist: tracked('createIfNotExist', createIfNotExist),
+            insertInto,
+            deleteFrom,
+            update,
+            updateBy,
+            upsert,
+            selectFrom,
+            alterTable,
+            createIndex: tracked('createIndex', createIndex),
+            dropIndex: tracked('dropIndex', dropIndex),
+            migrate: tracked('migrate', migrate),
+            query: (sql, params) => track('query', null, () => query(sql, params)),
+            transaction: (callback, message) => track('transaction', null, () => transaction(callback, message))
+        };
+        return db;
+    }
+
+    // 可以写入离线队列的计算值，调用时为fn(row, ...args)，args需要可以序列化为JSON
+    // 示例: const filterCookies = CsvFunctions.define('filterCookies', (row, cookies) => ...);
+    //     upsert('cookie', 'domain').value({domain, cookies: filterCookies(cookies)})
+    const CsvFunctions = {
+        registry: new Map(),
+
+        define(name, fn) {
+            this.registry.set(name, fn);
+            return (...args) => this.call(name, ...args);
+        },
+
+        call(name, ...args) {
+            const computed = row => {
+                const fn = this.registry.get(name);
+                if (!fn) {
+                    throw new CsvDbError(`Function "${name}" is not defined`);
+                }
+                return fn(row, ...args);
+            };
+            computed.csvFunction = {name, args};
+            return computed;
+        }
+    };
+
+    // 离线写入队列，保存在GM存储中，按加入顺序重放
+    // 重放遇到网络错误时停止并保留剩余条目，其他错误会将条目标记为failed并继续重放后续条目，由用户在菜单中重试或丢弃
+    const writeQueue = {
+        STORAGE_KEY: 'CSV_DB_WRITE_QUEUE',
+        LOCK_KEY: 'CSV_DB_WRITE_QUEUE_LOCK',
+        // 其他页面正在重放时锁的有效时间
+        LOCK_TIMEOUT: 60 * 1000,
+        owner: CsvUtils.uuid(),
+        flushing: null,
+
+        isOffline(error) {
+            return error.status === 0 || error.status >= 500;
+        },
+
+        // 执行期间发出过写入请求时，网络错误或5xx不能确定写入是否已经生效，不能放入队列或再次重放
+        // 基于全局写入数判断，同时有其他写入时也视为可能已写入
+        async run(execute) {
+            const writes = githubWriteCount;
+            try {
+                return await execute();
+            } catch (error) {
+                if (this.isOffline(error) && githubWriteCount !== writes) {
+                    throw new CsvDbError(`Write may have been applied before the request failed: ${error.message || error}`);
+                }
+                throw error;
+            }
+        },
+
+        // [{id, csvPath, operation, args, calls, status: 'pending' | 'failed', error, createTime}]
+        async list() {
+            return GM_getValue(this.STORAGE_KEY, []);
+        },
+
+        async add(csvPath, operation, args, calls) {
+            const entry = {
+                id: CsvUtils.uuid(),
+                csvPath,
+                operation,
+                args: encodeQueueArgs(args),
+                calls: calls.map(call => ({method: call.method, args: encodeQueueArgs(call.args)})),
+                status: 'pending',
+                error: null,
+                createTime: Date.now()
+            };
+            await GM_setValue(this.STORAGE_KEY, [...await this.list(), entry]);
+            return entry;
+        },
+
+        // changes为null时删除条目
+        async updateEntry(id, changes) {
+            const entries = await this.list();
+            await GM_setValue(this.STORAGE_KEY, changes === null
+                ? entries.filter(entry => entry.id !== id)
+                : entries.map(entry => entry.id === id ? {...entry, ...changes} : entry));
+        },
+
+        async retry(id) {
+            await this.updateEntry(id, {status: 'pending', error: null});
+            return this.flush();
+        },
+
+        async retryAll() {
+            const entries = await this.list();
+            await GM_setValue(this.STORAGE_KEY, entries.map(entry => ({...entry, status: 'pending', error: null})));
+            return this.flush();
+        },
+
+        async discard(id) {
+            await this.updateEntry(id, null);
+        },
+
+        // 返回队列中是否已没有待同步的条目，同一页面内的多次调用共用一次重放
+        flush() {
+            if (!this.flushing) {
+                this.flushing = this.replayPending().finally(() => this.flushing = null);
+            }
+            return this.flushing;
+        },
+
+        async replayPending() {
+            const hasPending = async () => (await this.list()).some(entry => entry.status === 'pending');
+            if (!await hasPending()) {
+                return true;
+            }
+            if (!await this.lock()) {
+                return false;
+            }
+            try {
+                let entry;
+                while ((entry = (await this.list()).find(entry => entry.status === 'pending'))) {
+                    try {
+                        await this.run(() => replayQueueEntry(entry));
+                        await this.updateEntry(entry.id, null);
+                    } catch (error) {
+                        if (this.isOffline(error)) {
+                            return false;
+                        }
+                        await this.updateEntry(entry.id, {status: 'failed', error: error.message || String(error)});
+                    }
+                }
+                return true;
+            } finally {
+                await GM_deleteValue(this.LOCK_KEY);
+            }
+        },
+
+        // 尽力避免多个页面同时重放同一条目
+        async lock() {
+            const lock = await GM_getValue(this.LOCK_KEY, null);
+            if (lock && lock.owner !== this.owner && Date.now() - lock.time < this.LOCK_TIMEOUT) {
+                return false;
+            }
+            await GM_setValue(this.LOCK_KEY, {owner: this.owner, time: Date.now()});
+            return true;
+        }
+    };
+
+    // 构造器调用参数的序列化: {value}、{row: {field: {value} | {computed}}}、{group: 条件分组中的调用}
+    function encodeQueueArgs(args) {
+        return args.map(arg => {
+            if (typeof arg === 'function') {
+                return {group: recordConditionGroup(arg)};
+            }
+            if (arg !== null && typeof arg === 'object' && !Array.isArray(arg) && !(arg instanceof Date)) {
+                return {row: Object.fromEntries(Object.entries(arg).map(([field, value]) => [field, encodeQueueValue(value)]))};
+            }
+            return {value: arg};
+        });
+    }
+
+    function encodeQueueValue(value) {
+        if (typeof value !== 'function') {
+            return {value};
+        }
+        if (!value.csvFunction) {
+            throw new CsvDbError("Computed values must be created by CsvFunctions to be queued offline");
+        }
+        return {computed: value.csvFunction};
+    }
+
+    function decodeQueueArgs(args) {
+        return args.map(arg => {
+            if (arg.group) {
+                return builder => replayCalls(builder, arg.group);
+            }
+            if (arg.row) {
+                return Object.fromEntries(Object.entries(arg.row).map(([field, value]) => {
+                    return [field, value.computed ? CsvFunctions.call(value.computed.name, ...value.computed.args) : value.value];
+                }));
+            }
+            return arg.value;
+        });
+    }
+
+    // 在只记录调用的条件构造器上执行分组回调
+    function recordConditionGroup(group) {
+        const calls = [];
+        const recorder = {};
+        Object.keys(csvConditionBuilder(csvDataFilter())).forEach(method => {
+            recorder[method] = function (...args) {
+                calls.push({method, args: encodeQueueArgs(args)});
+                return this;
+            };
+        });
+        group(recorder);
+        return calls;
+    }
+
+    function replayCalls(builder, calls) {
+        calls.forEach(({method, args}) => builder[method](...decodeQueueArgs(args)));
+        return builder;
+    }
+
+    async function replayQueueEntry(entry) {
+        const builder = csvDb(entry.csvPath)[entry.operation](...decodeQueueArgs(entry.args));
+        await replayCalls(builder, entry.calls).execute();
+    }
+
+    return {
+        csvDb,
+        githubBackend,
+        memoryBackend,
+        gmStorageBackend,
+        writeQueue,
+        CsvFunctions,
+        CsvUtils,
+        CsvDialect,
+        CsvSqlParser,
+        csvDataFilter,
+        csvDataFetcher,
+        csvModifyHandler,
+        CsvDbError,
+        CsvTypeError,
+        CsvConstraintError,
+        CsvSqlError,
+        CsvConflictError,
+        CsvQueuedError,
+        githubApiRequest,
+        getRateLimit,
+        createFile,
+        updateFile,
+        deleteFile,
+        getFile,
+        getFileInfo,
+        getFileContent,
+        listFiles,
+        getAllFiles
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {csvDbEngine};
+}
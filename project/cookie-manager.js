@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         Cookie管理器
 // @namespace    cookie_manager
-// @version      1.3
+// @version      1.4
 // @description  支持Cookie跨机器同步，使用Github仓库作为远程存储（Cookie为敏感信息，不要使用公共仓库，请使用私有仓库）
 // @author       Gloduck
 // @license      MIT
@@ -15,6 +15,7 @@
 // @grant        unsafeWindow
 // @connect      api.github.com
 // @require      https://cdn.jsdelivr.net/npm/sweetalert2@11
+// @require      https://cdn.jsdelivr.net/gh/Gloduck/Github_Csv_Project@v1.0.0/lib/csv-db.js
 // @noframes
 // ==/UserScript==
 
@@ -34,14 +35,20 @@
         FILE: 'cookie'
     }
 
+    // 配置缓存，避免每次请求都重新读取GM存储，配置弹窗保存或清除时失效
+    let configCache = null;
+
     // 获取当前配置
     async function getConfig() {
-        return {
-            token: await GM_getValue(CONFIG_KEYS.TOKEN, ''),
-            owner: await GM_getValue(CONFIG_KEYS.OWNER, ''),
-            repo: await GM_getValue(CONFIG_KEYS.REPO, ''),
-            branch: await GM_getValue(CONFIG_KEYS.BRANCH, 'main')
-        };
+        if (!configCache) {
+            configCache = {
+                token: await GM_getValue(CONFIG_KEYS.TOKEN, ''),
+                owner: await GM_getValue(CONFIG_KEYS.OWNER, ''),
+                repo: await GM_getValue(CONFIG_KEYS.REPO, ''),
+                branch: await GM_getValue(CONFIG_KEYS.BRANCH, 'main')
+            };
+        }
+        return configCache;
     }
 
     // 显示配置弹窗
@@ -59,7 +66,7 @@
             focusConfirm: false,
             preConfirm: () => {
                 return {
-                    owner: cument.getElementById('owner').value,
+                    owner: document.getElementById('owner').value,
                     repo: document.getElementById('repo').value,
                     branch: document.getElementById('branch').value || 'main',
                     token: document.getElementById('token').value
@@ -75,6 +82,7 @@
             await GM_setValue(CONFIG_KEYS.REPO, formValues.repo);
             await GM_setValue(CONFIG_KEYS.BRANCH, formValues.branch);
             await GM_setValue(CONFIG_KEYS.TOKEN, formValues.token);
+            configCache = null;
             Swal.fire('保存成功!', '仓库配置已更新', 'success');
         }
     }
@@ -94,773 +102,19 @@
             await GM_deleteValue(CONFIG_KEYS.OWNER);
             await GM_deleteValue(CONFIG_KEYS.REPO);
             await GM_deleteValue(CONFIG_KEYS.BRANCH);
+            configCache = null;
             Swal.fire('已清除!', '所有配置已删除', 'success');
         }
     }
 
-    // GitHub API请求封装
-    async function githubApiRequest(method, endpoint, data = null) {
-        const config = await getConfig();
-
-        if (!config.token || !config.owner || !config.repo) {
-            throw new Error('请先配置GitHub仓库信息');
-        }
-
-        const url = `https://api.github.com/repos/${config.owner}/${config.repo}${endpoint}`;
-        const headers = {
-            "Authorization": `Bearer ${config.token}`,
-            "Accept": "application/vnd.github.v3+json",
-            "Content-Type": "application/json"
-        };
-
-        const options = {
-            method: method,
-            headers: headers,
-            body: data ? JSON.stringify(data) : null
-        };
-
-        try {
-            const response = await fetch(url, options);
-
-            // 处理非2xx响应
-            if (!response.ok) {
-                let errorBody;
-                try {
-                    errorBody = await response.json();
-                } catch (e) {
-                    errorBody = { message: `API请求失败: ${response.status} ${response.statusText}` };
-                }
-                throw {
-                    status: response.status,
-                    message: errorBody.message || 'API请求失败',
-                    response: errorBody
-                };
-            }
-
-            // 处理204 No Content等空响应
-            if (response.status === 204 || response.headers.get('Content-Length') === '0') {
-                return null;
-            }
-
-            return await response.json();
-        } catch (error) {
-            if (error.status) {
-                // 已处理的API错误
-                throw error;
-            }
-            // 网络错误
-            throw {
-                status: 0,
-                message: '网络请求失败',
-                error: error
-            };
-        }
-    }
-
-
-    // 1. 创建文件
-    async function createFile(path, content, message = "Created via Tampermonkey") {
-        const encodedContent = btoa(unescape(encodeURIComponent(content)));
-        return githubApiRequest('PUT', `/contents/${encodeURIComponent(path)}`, {
-            message,
-            content: encodedContent,
-            branch: (await getConfig()).branch
-        });
-    }
-
-    // 2. 更新文件
-    async function updateFile(path, content, message = "Updated via Tampermonkey") {
-        // 先获取文件当前SHA
-        const fileInfo = await getFileInfo(path);
-        const encodedContent = btoa(unescape(encodeURIComponent(content)));
-        return githubApiRequest('PUT', `/contents/${encodeURIComponent(path)}`, {
-            message,
-            content: encodedContent,
-            sha: fileInfo.sha,
-            branch: (await getConfig()).branch
-        });
-    }
-
-    // 3. 删除文件
-    async function deleteFile(path, message = "Deleted via Tampermonkey") {
-        // 先获取文件当前SHA
-        const fileInfo = await getFileInfo(path);
-
-        return githubApiRequest('DELETE', `/contents/${encodeURIComponent(path)}`, {
-            message,
-            sha: fileInfo.sha,
-            branch: (await getConfig()).branch
-        });
-    }
-
-    // 4. 获取文件信息（不包含内容）
-    async function getFileInfo(path) {
-        // 添加随机查询参数，强制绕过缓存
-        const ref = (await getConfig()).branch;
-        const cacheBuster = Date.now();
-        const fileInfo = await githubApiRequest('GET',
-            `/contents/${encodeURIComponent(path)}?ref=${ref}&_=${cacheBuster}`);
-        return fileInfo;
-    }
-
-    // 5. 获取文件内容
-    async function getFileContent(path) {
-        const fileInfo = await getFileInfo(path);
-        if (fileInfo.encoding === 'base64') {
-            return decodeURIComponent(escape(atob(fileInfo.content)));
-        }
-        return fileInfo.content;
-    }
-
-    // 6. 获取仓库所有文件列表（递归）
-    async function getAllFiles(path = '', files = []) {
-        const contents = await githubApiRequest('GET', `/contents/${encodeURIComponent(path)}?ref=${(await getConfig()).branch}`);
-
-        for (const item of contents) {
-            if (item.type === 'file') {
-                files.push({
-                    path: item.path,
-                    size: item.size,
-                    sha: item.sha
-                });
-            } else if (item.type === 'dir') {
-                await getAllFiles(item.path, files);
-            }
-        }
-
-        return files;
-    }
-
-
-    class CsvUtils {
-        static parseCsvLine(line) {
-            const result = [];
-            let current = '';
-            let inQuotes = false;
-            let i = 0;
-
-            while (i < line.length) {
-                const char = line[i];
-
-                if (inQuotes) {
-                    if (char === '"' && i + 1 < line.length && line[i + 1] === '"') {
-                        current += '"';
-                        i += 2;
-                        continue;
-                    } else if (char === '"') {
-                        inQuotes = false;
-                        i++;
-                        continue;
-                    } else {
-                        current += char;
-                        i++;
-                    }
-                } else {
-                    if (char === '"') {
-                        inQuotes = true;
-                        i++;
-                    } else if (char === ',') {
-                        result.push(CsvUtils.unescapeField(current));
-                        current = '';
-                        i++;
-                    } else {
-                        current += char;
-                        i++;
-                    }
-                }
-            }
-            result.push(CsvUtils.unescapeField(current));
-            return result;
-        }
-
-        static unescapeField(field) {
-            return field.replace(/\\"/g, '"')
-                .replace(/\\,/g, ',');
-        }
-
-        static escapeCsvField(field) {
-            if (field == null) return '';
-            if (typeof field !== 'string') field = String(field);
-
-            if (field.includes(',') || field.includes('"') || field.includes('\n')) {
-                return '"' + field.replace(/"/g, '""') + '"';
-            }
-            return field;
-        }
-
-        static compareValue(a, b) {
-            const numA = parseFloat(a);
-            const numB = parseFloat(b);
-            if (!isNaN(numA) && !isNaN(numB)) {
-                return numA - numB;
-            }
-            return a.localeCompare(b, undefined, { numeric: true });
-        }
-    }
-
-
-    function csvDataFilter() {
-        const _filters = []
-
-        function test(row) {
-            return _filters.every(f => f(row));
-        }
-
-        function eq(fieldName, value) {
-            const strValue = (value === null || value === undefined) ? null : String(value);
-            _filters.push(row => {
-                const v = row[fieldName];
-                if (v === null || v === undefined) {
-                    return strValue === null;
-                }
-                if (strValue === null) {
-                    return false;
-                }
-                return v === strValue;
-            });
-        }
-
-        function notEq(fieldName, value) {
-            const strValue = (value === null || value === undefined) ? null : String(value);
-            _filters.push(row => {
-                const v = row[fieldName];
-                if (v === null || v === undefined) {
-                    return strValue !== null;
-                }
-                if (strValue === null) {
-                    return true;
-                }
-                return v !== strValue;
-            });
-        }
-
-        function inValues(fieldName, ...values) {
-            const set = new Set(values.map(v => v == null ? null : String(v)));
-            _filters.push(row => {
-                const v = row[fieldName];
-                const valueToCheck = (v === undefined) ? null : v;
-                return set.has(valueToCheck);
-            });
-        }
-
-        function notIn(fieldName, ...values) {
-            const set = new Set(values.map(v => v == null ? null : String(v)));
-            _filters.push(row => {
-                const v = row[fieldName];
-                const valueToCheck = (v === undefined) ? null : v;
-                return !set.has(valueToCheck);
-            });
-        }
-
-        function like(fieldName, pattern) {
-            const regex = new RegExp('^' + pattern
-                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                .replace(/%/g, '.*')
-                .replace(/_/g, '.') + '$');
-
-            _filters.push(row => {
-                const v = row[fieldName] ?? '';
-                return regex.test(v);
-            });
-        }
-
-        function gt(fieldName, value) {
-            _cmpHelper(fieldName, value, cmpResult => cmpResult > 0);
-        }
-
-        function ge(fieldName, value) {
-            _cmpHelper(fieldName, value, cmpResult => cmpResult >= 0);
-        }
-
-        function lt(fieldName, value) {
-            _cmpHelper(fieldName, value, cmpResult => cmpResult < 0);
-        }
-
-        function le(fieldName, value) {
-            _cmpHelper(fieldName, value, cmpResult => cmpResult <= 0);
-        }
-
-        function _cmpHelper(fieldName, value, tester) {
-            const strValue = (value === null || value === undefined) ? null : String(value);
-            _filters.push(row => {
-                const v = row[fieldName];
-                if (v == null || strValue == null) {
-                    return false;
-                }
-                const cmpResult = CsvUtils.compareValue(v, strValue);
-                return tester(cmpResult);
-            });
-        }
-
-        return {
-            test,
-            eq,
-            notEq,
-            inValues,
-            notIn,
-            like,
-            gt,
-            ge,
-            lt,
-            le
-        }
-    }
-
-    function csvDataFetcher() {
-        const handler = {
-            shouldHandleData(row) {
-                throw new Error("shouldHandleData must be implemented");
-            },
-            lineOffset() {
-                return 0;
-            },
-            lineLimit() {
-                return Number.MAX_VALUE;
-            },
-            orderField() {
-                return null;
-            },
-            orderDesc() {
-                return false;
-            },
-            selectField() {
-                return null;
-            }
-        }
-
-
-        function fetch(csvContent) {
-            const lines = csvContent.split('\n');
-            if (lines.length === 0) {
-                throw new Error("csv must contains header");
-            }
-
-            const headers = CsvUtils.parseCsvLine(lines[0]);
-            const records = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                if (!lines[i].trim()) continue;
-                const values = CsvUtils.parseCsvLine(lines[i]);
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index] || '';
-                });
-                if (!handler.shouldHandleData(row)) {
-                    continue;
-                }
-                records.push(row);
-            }
-            const valueOrderFiled = handler.orderField();
-            const valueOrderDesc = handler.orderDesc();
-            if (valueOrderFiled != null) {
-                records.sort((a, b) => {
-                    const v1 = a[valueOrderFiled];
-                    const v2 = b[valueOrderFiled];
-                    const cmpResult = CsvUtils.compareValue(v1, v2);
-                    return valueOrderDesc ? -cmpResult : cmpResult;
-                });
-            }
-            const start = handler.lineOffset();
-            const end = start + handler.lineLimit();
-            const selectFields = handler.selectField();
-            if (selectFields == null) {
-                return records.slice(start, end);
-            } else {
-                return records.slice(start, end).map(row => {
-                    const newRow = {};
-                    selectFields.forEach(field => {
-                        newRow[field] = row[field];
-                    });
-                    return newRow;
-                });
-            }
-        }
-
-        return {
-            fetch,
-            handler
-        }
-    }
-
-    function csvModifyHandler() {
-        const handler = {
-            appendRows() {
-                throw new Error("shouldHandleData must be implemented");
-            },
-
-            shouldHandleData(row) {
-                throw new Error("shouldHandleData must be implemented");
-            },
-
-            handleData(row) {
-                throw new Error("handleData must be implemented");
-            },
-        }
-
-        function execute(csvContent) {
-            const lines = csvContent.split('\n');
-            if (lines.length === 0) {
-                throw new Error("csv must contains header");
-            }
-
-            const headers = CsvUtils.parseCsvLine(lines[0]);
-            const records = [];
-            let affectedCount = 0;
-
-            for (let i = 1; i < lines.length; i++) {
-                if (!lines[i].trim()) continue;
-                const values = CsvUtils.parseCsvLine(lines[i]);
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index] || '';
-                });
-
-                if (handler.shouldHandleData(row)) {
-                    const newRow = handler.handleData({ ...row });
-                    if (newRow !== null) {
-                        records.push(prepareRecord(headers, newRow));
-                    }
-                    affectedCount++;
-                } else {
-                    records.push(values);
-                }
-            }
-
-            for (const row of handler.appendRows()) {
-                records.push(prepareRecord(headers, row));
-                affectedCount++;
-            }
-
-            const newHeaders = headers.join(',');
-            const newCsv = [newHeaders, ...records.map(values =>
-                values.map(v => CsvUtils.escapeCsvField(v)).join(',')
-            )].join('\n');
-            return {
-                affectedCount: affectedCount,
-                csvContent: newCsv
-            };
-        }
-
-        function prepareRecord(headers, row) {
-            return headers.map(header => row[header] ?? '');
-        }
-
-        return {
-            handler,
-            execute,
-        };
-    }
-
-    function csvDb(csvPath) {
-        async function createIfNotExist(csvFileName, headers) {
-            const path = `${csvPath}/${csvFileName}.csv`;
-            try {
-                await getFileInfo(path);
-                return false;
-            } catch (error) {
-                if (error.status === 404) {
-                    try {
-                        await createFile(path, headers);
-                        return true;
-                    } catch (createError) {
-                        throw createError;
-                    }
-                } else {
-                    throw error;
-                }
-            }
-        }
-
-        async function create(csvFileName, headers) {
-            const path = `${csvPath}/${csvFileName}.csv`;
-            const csvContent = headers.join(',') + '\n';
-            await createFile(path, csvContent);
-        }
-
-        function update(csvFileName) {
-            const updateFields = {};
-            const path = `${csvPath}/${csvFileName}.csv`;
-            const csvHandler = csvModifyHandler();
-            const csvFilter = csvDataFilter();
-            csvHandler.handler.shouldHandleData = (row) => {
-                return csvFilter.test(row);
-            };
-            csvHandler.handler.handleData = (row) => {
-                Object.entries(updateFields).forEach(([field, newVal]) => {
-                    row[field] = (newVal === null || newVal === undefined) ? null : String(newVal);
-                });
-                return row;
-            };
-            csvHandler.handler.appendRows = () => [];
-
-            function set(field, value) {
-                updateFields[field] = value == null ? '' : String(value);
-                return this;
-            }
-
-            async function execute() {
-                const csvContent = await getFileContent(path);
-                const { affectedCount, csvContent: newCsvContent } = csvHandler.execute(csvContent);
-                await updateFile(path, newCsvContent);
-                return affectedCount;
-            }
-
-            return {
-                execute: execute,
-                set: set,
-                eq: function (fieldName, value) {
-                    csvFilter.eq(fieldName, value);
-                    return this;
-                },
-                notEq: function (fieldName, value) {
-                    csvFilter.notEq(fieldName, value);
-                    return this;
-                },
-                in: function (fieldName, ...values) {
-                    csvFilter.inValues(fieldName, ...values);
-                    return this;
-                },
-                notIn: function (fieldName, ...values) {
-                    csvFilter.notIn(fieldName, ...values);
-                    return this;
-                },
-                like: function (fieldName, pattern) {
-                    csvFilter.like(fieldName, pattern);
-                    return this;
-                },
-                gt: function (fieldName, value) {
-                    csvFilter.gt(fieldName, value);
-                    return this;
-                },
-                ge: function (fieldName, value) {
-                    csvFilter.ge(fieldName, value);
-                    return this;
-                },
-                lt: function (fieldName, value) {
-                    csvFilter.lt(fieldName, value);
-                    return this;
-                },
-                le: function (fieldName, value) {
-                    csvFilter.le(fieldName, value);
-                    return this;
-                }
-
-            }
-        }
-
-        function updateBy(csvFileName, fieldName) {
-            const updateDatas = {};
-            const path = `${csvPath}/${csvFileName}.csv`;
-            const csvHandler = csvModifyHandler();
-            csvHandler.handler.shouldHandleData = (row) => {
-                if (row[fieldName] === null || row[fieldName] === undefined) {
-                    return false;
-                }
-                return updateDatas.hasOwnProperty(row[fieldName]);
-            }
-            csvHandler.handler.handleData = (row) => {
-                return updateDatas[row[fieldName]];
-            }
-            csvHandler.handler.appendRows = () => [];
-
-            function value(data) {
-                updateDatas[data[fieldName]] = data;
-                return this;
-            }
-
-            async function execute() {
-                const csvContent = await getFileContent(path);
-                const { affectedCount, csvContent: newCsvContent } = csvHandler.execute(csvContent);
-                await updateFile(path, newCsvContent);
-                return affectedCount;
-            }
-
-            return {
-                execute: execute,
-                value: value
-            }
-        }
-
-        function deleteFrom(csvFileName) {
-            const path = `${csvPath}/${csvFileName}.csv`;
-            const csvHandler = csvModifyHandler();
-            const csvFilter = csvDataFilter();
-            csvHandler.handler.shouldHandleData = (row) => {
-                return csvFilter.test(row);
-            };
-            csvHandler.handler.handleData = (row) => null;
-            csvHandler.handler.appendRows = () => [];
-
-            async function execute() {
-                const csvContent = await getFileContent(path);
-                const { affectedCount, csvContent: newCsvContent } = csvHandler.execute(csvContent);
-                await updateFile(path, newCsvContent);
-                return affectedCount;
-            }
-
-            return {
-                execute: execute,
-                eq: function (fieldName, value) {
-                    csvFilter.eq(fieldName, value);
-                    return this;
-                },
-                notEq: function (fieldName, value) {
-                    csvFilter.notEq(fieldName, value);
-                    return this;
-                },
-                in: function (fieldName, ...values) {
-                    csvFilter.inValues(fieldName, ...values);
-                    return this;
-                },
-                notIn: function (fieldName, ...values) {
-                    csvFilter.notIn(fieldName, ...values);
-                    return this;
-                },
-                like: function (fieldName, pattern) {
-                    csvFilter.like(fieldName, pattern);
-                    return this;
-                },
-                gt: function (fieldName, value) {
-                    csvFilter.gt(fieldName, value);
-                    return this;
-                },
-                ge: function (fieldName, value) {
-                    csvFilter.ge(fieldName, value);
-                    return this;
-                },
-                lt: function (fieldName, value) {
-                    csvFilter.lt(fieldName, value);
-                    return this;
-                },
-                le: function (fieldName, value) {
-                    csvFilter.le(fieldName, value);
-                    return this;
-                }
-
-            }
-        }
+    // csvDb引擎以及GitHub文件操作，见lib/csv-db.js
+    const {csvDb, CsvFunctions, CsvQueuedError, writeQueue, getRateLimit} = csvDbEngine({
+        getConfig,
+        GM_getValue,
+        GM_setValue,
+        GM_deleteValue
+    });
 
-        function insertInto(csvFileName) {
-            const path = `${csvPath}/${csvFileName}.csv`;
-            const csvHandler = csvModifyHandler();
-            const appendRows = [];
-            csvHandler.handler.shouldHandleData = () => false;
-            csvHandler.handler.handleData = (row) => row;
-            csvHandler.handler.appendRows = () => appendRows;
-
-            function value(data) {
-                appendRows.push(data);
-                return this;
-            }
-
-            async function execute() {
-                const csvContent = await getFileContent(path);
-                const { affectedCount, csvContent: newCsvContent } = csvHandler.execute(csvContent);
-                await updateFile(path, newCsvContent);
-                return affectedCount;
-            }
-
-            return {
-                value,
-                execute: execute
-            };
-        }
-
-        function selectFrom(csvFileName, ...fieldNames) {
-            const path = `${csvPath}/${csvFileName}.csv`;
-            const csvFetcher = csvDataFetcher();
-            const csvFilter = csvDataFilter();
-            csvFetcher.handler.shouldHandleData = (row) => {
-                return csvFilter.test(row);
-            };
-            csvFetcher.handler.selectField = () => {
-                return fieldNames.length === 0 ? null : fieldNames;
-            }
-
-            function offset(offset) {
-                if (offset < 0) throw new Error("Offset cannot be negative");
-                csvFetcher.handler.lineOffset = () => offset;
-                return this;
-            }
-
-            function limit(limit) {
-                if (limit < 0) throw new Error("Limit cannot be negative");
-                csvFetcher.handler.lineLimit = () => limit;
-                return this;
-            }
-
-            function order(fieldName, desc) {
-                csvFetcher.handler.orderField = () => fieldName;
-                csvFetcher.handler.orderDesc = () => desc;
-                return this;
-            }
-
-            async function fetch() {
-                const csvContent = await getFileContent(path);
-                return csvFetcher.fetch(csvContent);
-            }
-
-            async function fetchOne() {
-                const values = await fetch();
-                return values.length > 0 ? values[0] : null;
-            }
-
-            return {
-                offset,
-                limit,
-                fetch,
-                fetchOne,
-                order,
-                eq: function (fieldName, value) {
-                    csvFilter.eq(fieldName, value);
-                    return this;
-                },
-                notEq: function (fieldName, value) {
-                    csvFilter.notEq(fieldName, value);
-                    return this;
-                },
-                in: function (fieldName, ...values) {
-                    csvFilter.inValues(fieldName, ...values);
-                    return this;
-                },
-                notIn: function (fieldName, ...values) {
-                    csvFilter.notIn(fieldName, ...values);
-                    return this;
-                },
-                like: function (fieldName, pattern) {
-                    csvFilter.like(fieldName, pattern);
-                    return this;
-                },
-                gt: function (fieldName, value) {
-                    csvFilter.gt(fieldName, value);
-                    return this;
-                },
-                ge: function (fieldName, value) {
-                    csvFilter.ge(fieldName, value);
-                    return this;
-                },
-                lt: function (fieldName, value) {
-                    csvFilter.lt(fieldName, value);
-                    return this;
-                },
-                le: function (fieldName, value) {
-                    csvFilter.le(fieldName, value);
-                    return this;
-                }
-            }
-
-        }
-
-        return {
-            create,
-            createIfNotExist,
-            insertInto,
-            deleteFrom,
-            update,
-            updateBy,
-            selectFrom
-        }
-    }
     function getRootDomain() {
         const hostname = window.location.hostname;
         if (!hostname) return '';
@@ -893,10 +147,29 @@
         return `${parts[len - 2]}.${parts[len - 1]}`;
     }
 
+    // 打开Cookie数据库，网络不可用时修改写入离线队列，每次操作后在控制台输出请求次数
+    function cookieDb() {
+        return csvDb(DB_FILE.PATH, {
+            offlineQueue: true,
+            onOperation: ({operation, table, requests, elapsed}) => {
+                console.log(`[Cookie管理器] ${operation} ${table}: ${requests}次请求, 耗时${elapsed}ms`);
+            }
+        });
+    }
+
     function getSupportCookieNames(fetchData) {
         return fetchData && fetchData.supportNames && fetchData.supportNames.length != 0 ? fetchData.supportNames : null;
     }
 
+    // 按已保存的允许Cookie名过滤，注册为CsvFunctions以便离线保存时写入队列
+    const filterSupportCookies = CsvFunctions.define('filterSupportCookies', (row, cookies) => {
+        const supportCookieNames = getSupportCookieNames(row);
+        const validCookies = cookies.filter(cookie => {
+            return supportCookieNames == null || supportCookieNames.includes(cookie.name);
+        });
+        return JSON.stringify(validCookies);
+    });
+
     function showLoading(title) {
         const loadingSwal = Swal.fire({
             title: title,
@@ -926,7 +199,7 @@
         try {
             const rootDomain = getRootDomain();
             readLoading = showLoading('加载中...');
-            const fetchData = await csvDb(DB_FILE.PATH).selectFrom(DB_FILE.FILE).eq('domain', rootDomain).fetchOne();
+            const fetchData = await cookieDb().selectFrom(DB_FILE.FILE).eq('domain', rootDomain).fetchOne();
             await readLoading.close();
 
             if (!fetchData) {
@@ -1014,12 +287,18 @@
         }
     }
 
+    function showQueuedMessage() {
+        return Swal.fire('已加入离线队列', '网络不可用，修改已加入离线队列，将在网络恢复后自动同步', 'info');
+    }
+
     async function createDbIfNotExist() {
         let readLoading = null;
         let success = false;
         try {
             readLoading = showLoading('检查数据库...');
-            const dbCreated = await csvDb(DB_FILE.PATH).createIfNotExist(DB_FILE.FILE, ['domain', 'supportNames', 'cookies', 'createTime', 'updateTime']);
+            const dbCreated = await cookieDb().createIfNotExist(DB_FILE.FILE, ['domain', 'supportNames', 'cookies', 'createTime', 'updateTime'], {
+                primaryKey: 'domain'
+            });
             await readLoading.close();
 
             if (dbCreated) {
@@ -1030,6 +309,10 @@
             if (readLoading) {
                 await readLoading.close();
             }
+            // 网络不可用时后续修改会进入离线队列，不阻止操作
+            if (writeQueue.isOffline(error)) {
+                return true;
+            }
             Swal.fire('创建数据库失败', `错误信息: ${error.message || error}`, 'error');
         }
         return success;
@@ -1045,7 +328,7 @@
 
             const domain = getRootDomain();
             readLoading = showLoading('加载中...');
-            const existingRecord = await csvDb(DB_FILE.PATH)
+            const existingRecord = await cookieDb()
                 .selectFrom(DB_FILE.FILE)
                 .eq('domain', domain)
                 .fetchOne();
@@ -1095,25 +378,17 @@
             const now = Date.now();
             saveLoading = showLoading('保存中...');
 
-            if (existingRecord) {
-                await csvDb(DB_FILE.PATH)
-                    .update(DB_FILE.FILE)
-                    .eq('domain', domain)
-                    .set('supportNames', value)
-                    .set('updateTime', now)
-                    .execute();
-            } else {
-                await csvDb(DB_FILE.PATH)
-                    .insertInto(DB_FILE.FILE)
-                    .value({
-                        domain,
-                        cookies: '',
-                        supportNames: value,
-                        createTime: now,
-                        updateTime: now
-                    })
-                    .execute();
-            }
+            await cookieDb()
+                .upsert(DB_FILE.FILE, 'domain')
+                .value({
+                    domain,
+                    supportNames: value,
+                    updateTime: now
+                }, {
+                    cookies: '',
+                    createTime: now
+                })
+                .execute();
 
             await saveLoading.close();
             Swal.fire('设置成功', '允许的Cookie名已成功保存到数据库', 'success');
@@ -1124,6 +399,10 @@
             if (saveLoading) {
                 await saveLoading.close();
             }
+            if (error instanceof CsvQueuedError) {
+                showQueuedMessage();
+                return;
+            }
             Swal.fire('设置失败', `错误信息: ${error.message || error}`, 'error');
         }
     }
@@ -1143,7 +422,6 @@
         if (!await createDbIfNotExist()) {
             return;
         }
-        let readLoading = null;
         let saveLoading = null;
 
         try {
@@ -1159,55 +437,32 @@
                 });
             });
 
-            readLoading = showLoading('加载中...');
-            const existingRecord = await csvDb(DB_FILE.PATH)
-                .selectFrom(DB_FILE.FILE)
-                .eq('domain', domain)
-                .fetchOne();
-            await readLoading.close();
-
-            const supportCookieNames = getSupportCookieNames(existingRecord);
-            const validCookies = [];
-
-            cookies.forEach(cookie => {
-                if (supportCookieNames != null && !supportCookieNames.includes(cookie.name)) {
-                    return;
-                }
-                validCookies.push(cookie);
-            });
-            const cookiesStr = JSON.stringify(validCookies);
             const now = Date.now();
 
             saveLoading = showLoading('保存中...');
-            if (existingRecord) {
-                await csvDb(DB_FILE.PATH)
-                    .update(DB_FILE.FILE)
-                    .eq('domain', domain)
-                    .set('cookies', cookiesStr)
-                    .set('updateTime', now)
-                    .execute();
-            } else {
-                await csvDb(DB_FILE.PATH)
-                    .insertInto(DB_FILE.FILE)
-                    .value({
-                        domain,
-                        cookies: cookiesStr,
-                        supportNames: '',
-                        createTime: now,
-                        updateTime: now
-                    })
-                    .execute();
-            }
-            await readLoading.close();
+            // 在同一次读写中根据已保存的允许Cookie名过滤，不需要先查询
+            await cookieDb()
+                .upsert(DB_FILE.FILE, 'domain')
+                .value({
+                    domain,
+                    cookies: filterSupportCookies(cookies),
+                    updateTime: now
+                }, {
+                    supportNames: '',
+                    createTime: now
+                })
+                .execute();
+            await saveLoading.close();
             Swal.fire('保存成功', 'Cookie已成功保存到数据库', 'success');
 
         } catch (error) {
-            if (readLoading) {
-                await readLoading.close();
-            }
             if (saveLoading) {
                 await saveLoading.close();
             }
+            if (error instanceof CsvQueuedError) {
+                showQueuedMessage();
+                return;
+            }
             Swal.fire('保存失败', `错误信息: ${error.message || error}`, 'error');
         }
     }
@@ -1272,7 +527,7 @@
         let readLoading = null;
         try {
             readLoading = showLoading('加载中...');
-            const cookies = await csvDb(DB_FILE.PATH).selectFrom(DB_FILE.FILE).fetch();
+            const cookies = await cookieDb().selectFrom(DB_FILE.FILE).fetch();
 
             await readLoading.close();
 
@@ -1421,7 +676,7 @@
         button.disabled = true;
 
         try {
-            const deleteCount = await csvDb(DB_FILE.PATH)
+            const deleteCount = await cookieDb()
                 .deleteFrom(DB_FILE.FILE)
                 .eq('domain', domain)
                 .execute();
@@ -1431,6 +686,12 @@
                 Swal.fire('删除成功', `已删除 ${domain} 的Cookie`, 'success');
             }
         } catch (error) {
+            // 已进入队列的删除保持按钮禁用，避免重复加入队列
+            if (error instanceof CsvQueuedError) {
+                button.textContent = '待同步';
+                showQueuedMessage();
+                return;
+            }
             button.textContent = '删除';
             button.disabled = false;
             Swal.fire('删除失败', `无法删除Cookie: ${error.message || error}`, 'error');
@@ -1441,7 +702,7 @@
         button.disabled = true;
 
         try {
-            const cookieRecord = await csvDb(DB_FILE.PATH)
+            const cookieRecord = await cookieDb()
                 .selectFrom(DB_FILE.FILE)
                 .eq('domain', domain)
                 .fetchOne();
@@ -1503,12 +764,15 @@
                     const now = Date.now();
 
                     try {
-                        await csvDb(DB_FILE.PATH)
-                            .update(DB_FILE.FILE)
-                            .eq('domain', domain)
-                            .set('supportNames', formValues.supportNames)
-                            .set('cookies', JSON.stringify(jsonData))
-                            .set('updateTime', now)
+                        // 用upsert保存，同一域名的重复行会合并为一行
+                        await cookieDb()
+                            .upsert(DB_FILE.FILE, 'domain')
+                            .value({
+                                domain,
+                                supportNames: formValues.supportNames,
+                                cookies: JSON.stringify(jsonData),
+                                updateTime: now
+                            })
                             .execute();
 
                         await updateLoading.close();
@@ -1521,7 +785,11 @@
                         });
                     } catch (error) {
                         await updateLoading.close();
-                        await Swal.fire('保存失败', `保存时发生错误: ${error.message || error}`, 'error');
+                        if (error instanceof CsvQueuedError) {
+                            await showQueuedMessage();
+                        } else {
+                            await Swal.fire('保存失败', `保存时发生错误: ${error.message || error}`, 'error');
+                        }
                     }
                 }
 
@@ -1535,6 +803,106 @@
         }
     }
 
+    // 显示GitHub API配额
+    async function handleRateLimit() {
+        try {
+            const {limit, remaining, reset} = await getRateLimit();
+            if (remaining === null) {
+                Swal.fire('API配额', '暂无配额信息', 'info');
+                return;
+            }
+            Swal.fire({
+                title: 'API配额',
+                html: `
+                    <p>剩余请求数: ${remaining} / ${limit}</p>
+                    <p>重置时间: ${new Date(reset).toLocaleString()}</p>
+                `,
+                icon: remaining > 0 ? 'info' : 'warning'
+            });
+        } catch (error) {
+            Swal.fire('查询失败', error.message || String(error), 'error');
+        }
+    }
+
+    // 离线队列：查看待同步和同步失败的修改，可以逐条重试或丢弃
+    async function handleWriteQueue() {
+        const entries = await writeQueue.list();
+        if (entries.length === 0) {
+            Swal.fire('离线队列', '没有待同步的修改', 'info');
+            return;
+        }
+
+        const rows = entries.map(entry => `
+            <tr>
+                <td>${escapeHTML(`${entry.csvPath}/${entry.args[0].value}`)}</td>
+                <td>${escapeHTML(entry.operation)}</td>
+                <td>${new Date(entry.createTime).toLocaleString()}</td>
+                <td>${entry.status === 'failed' ? `失败: ${escapeHTML(entry.error)}` : '待同步'}</td>
+                <td>
+                    <button class="queue-btn" data-action="retry" data-id="${entry.id}">重试</button>
+                    <button class="queue-btn" data-action="discard" data-id="${entry.id}">丢弃</button>
+                </td>
+            </tr>
+        `).join('');
+
+        const {isConfirmed} = await Swal.fire({
+            title: '离线队列',
+            html: `
+                <div style="max-height:60vh;overflow:auto;">
+                <table style="width:100%;text-align:left;border-collapse:collapse;">
+                    <thead>
+                        <tr><th>表</th><th>操作</th><th>时间</th><th>状态</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                </div>
+            `,
+            width: '80%',
+            showCancelButton: true,
+            confirmButtonText: '全部重试',
+            cancelButtonText: '关闭',
+            didOpen: () => {
+                document.querySelectorAll('.queue-btn').forEach(button => {
+                    button.addEventListener('click', async (e) => {
+                        const {action, id} = e.currentTarget.dataset;
+                        Swal.showLoading();
+                        try {
+                            if (action === 'retry') {
+                                await writeQueue.retry(id);
+                            } else {
+                                await writeQueue.discard(id);
+                            }
+                        } catch (error) {
+                            console.error('离线队列操作失败', error);
+                        }
+                        handleWriteQueue();
+                    });
+                });
+            }
+        });
+
+        if (isConfirmed) {
+            Swal.fire({
+                title: '同步中...',
+                allowOutsideClick: false,
+                didOpen: () => Swal.showLoading()
+            });
+            try {
+                const synced = await writeQueue.retryAll();
+                const failedCount = (await writeQueue.list()).filter(entry => entry.status === 'failed').length;
+                if (!synced) {
+                    Swal.fire('同步未完成', '网络仍不可用，剩余修改将在网络恢复后自动同步', 'warning');
+                } else if (failedCount > 0) {
+                    Swal.fire('部分同步失败', `${failedCount} 条修改同步失败，请在离线队列中查看`, 'error');
+                } else {
+                    Swal.fire('同步成功', '所有修改已同步', 'success');
+                }
+            } catch (error) {
+                Swal.fire('同步失败', error.message || String(error), 'error');
+            }
+        }
+    }
+
     function escapeHTML(str) {
         return String(str)
             .replace(/&/g, '&amp;')
@@ -1603,6 +971,13 @@
     GM_registerMenuCommand('👉设置允许的Cookie名', setSupportCookieNames);
     GM_registerMenuCommand('👉管理仓库Cookie', showCookieManager);
     GM_registerMenuCommand('👉清空网站本地Cookie', clearLocalCookie);
+    GM_registerMenuCommand('📤 离线队列', handleWriteQueue);
+    GM_registerMenuCommand('📊 API配额', handleRateLimit);
+
+    // 页面加载以及网络恢复时同步离线队列
+    const flushWriteQueue = () => writeQueue.flush().catch(error => console.error('[Cookie管理器] 离线队列同步失败', error));
+    window.addEventListener('online', flushWriteQueue);
+    flushWriteQueue();
 
 
     // 添加样式
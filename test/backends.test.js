@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {csvDbEngine} = require('../lib/csv-db.js');
+const {memoryStorage, blobSha} = require('./fake-github.js');
+
+const storage = memoryStorage();
+const engine = csvDbEngine({
+    getConfig: async () => {
+        throw new Error('本地存储后端不应读取GitHub配置');
+    },
+    ...storage
+});
+const {csvDb, memoryBackend, gmStorageBackend} = engine;
+
+for (const [name, createBackend] of [['memoryBackend', () => memoryBackend()], ['gmStorageBackend', () => gmStorageBackend('TEST_DB')]]) {
+    test(name, async (t) => {
+        const backend = createBackend();
+        const db = csvDb('db', {backend});
+
+        await t.test('读写表数据', async () => {
+            await db.create('u', ['id', 'name'], {primaryKey: 'id'});
+            await db.insertInto('u').value({id: '1', name: 'a'}).value({id: '2', name: 'b'}).execute();
+            await db.update('u').set('name', 'c').eq('id', '2').execute();
+            assert.deepEqual(await db.selectFrom('u').eq('name', 'c').fetch(), [{id: '2', name: 'c'}]);
+            assert.deepEqual(await db.query('SELECT id FROM u ORDER BY id DESC'), [{id: '2'}, {id: '1'}]);
+
+            await db.create('s', ['k', 'v'], {shard: {key: 'k', type: 'hash', count: 4}, indexes: ['v']});
+            await db.insertInto('s').value({k: 'x', v: '1'}).value({k: 'y', v: '2'}).execute();
+            assert.equal((await db.selectFrom('s').fetch()).length, 2);
+            assert.deepEqual(await db.selectFrom('s').eq('v', '2').fetch(), [{k: 'y', v: '2'}]);
+        });
+
+        await t.test('按版本写入', async () => {
+            const file = await backend.read('db/u.csv');
+            await backend.write('db/u.csv', file.content, file.sha);
+            await backend.write('db/u.csv', `${file.content}\n3,d`);
+            await assert.rejects(backend.write('db/u.csv', 'x', 'stale'), error => error.status === 409);
+            await assert.rejects(backend.create('db/u.csv', 'x'), error => error.status === 422);
+            await assert.rejects(backend.read('db/missing.csv'), error => error.status === 404);
+        });
+
+        await t.test('不支持事务', async () => {
+            await assert.rejects(db.transaction(async () => {}), /not supported/);
+        });
+    });
+}
+
+test('gmStorageBackend的数据保存在脚本存储中', async () => {
+    await csvDb('db', {backend: gmStorageBackend('GM_DB')}).create('t', ['a']);
+    assert.deepEqual(Object.keys(storage.values.get('GM_DB')), ['db/t.csv']);
+});
+
+test('不同后端的表结构互不影响', async () => {
+    const first = memoryBackend();
+    const second = memoryBackend();
+    await csvDb('db', {backend: first}).create('t', ['id', 'n'], {types: {n: 'int'}});
+    await csvDb('db', {backend: second}).create('t', ['id', 'n']);
+    await csvDb('db', {backend: second}).insertInto('t').value({id: '1', n: 'x'}).execute();
+    await assert.rejects(csvDb('db', {backend: first}).insertInto('t').value({id: '1', n: 'x'}).execute());
+});
+
+test('没有crypto.subtle时（非HTTPS页面）仍能计算sha', async (t) => {
+    Object.defineProperty(crypto, 'subtle', {value: undefined, configurable: true});
+    t.after(() => delete crypto.subtle);
+    const backend = memoryBackend();
+    for (const content of ['', 'id,name\n1,中文', 'x'.repeat(1000)]) {
+        await backend.create(`db/${content.length}.csv`, content);
+        assert.equal((await backend.stat(`db/${content.length}.csv`)).sha, blobSha(content));
+    }
+});
@@ -0,0 +1,226 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {startEngine} = require('./fake-github.js');
+
+test('csvDb', async (t) => {
+    const {github, engine} = await startEngine();
+    t.after(() => github.close());
+    const {csvDb, CsvConstraintError, CsvConflictError, CsvSqlError, CsvFunctions} = engine;
+    const db = csvDb('db');
+
+    await t.test('建表、插入、查询、更新和删除', async () => {
+        assert.equal(await db.createIfNotExist('user', ['id', 'name', 'age'], {types: {id: 'int', age: 'int'}, primaryKey: 'id'}), true);
+        assert.equal(await db.createIfNotExist('user', ['id', 'name', 'age']), false);
+
+        await db.insertInto('user')
+            .value({id: 1, name: 'a,b', age: 20})
+            .value({id: 2, name: '"quoted"', age: 30})
+            .value({id: 3, name: 'line\nbreak', age: 40})
+            .execute();
+        assert.deepEqual(await db.selectFrom('user').gt('age', 25).fetch(), [
+            {id: 2, name: '"quoted"', age: 30},
+            {id: 3, name: 'line\nbreak', age: 40}
+        ]);
+
+        assert.equal(await db.update('user').eq('id', 1).set('age', 21).execute(), 1);
+        assert.equal((await db.selectFrom('user').eq('id', 1).fetchOne()).age, 21);
+
+        assert.equal(await db.deleteFrom('user').in('id', 2, 3).execute(), 2);
+        assert.deepEqual((await db.selectFrom('user').fetch()).map(row => row.id), [1]);
+    });
+
+    await t.test('违反主键约束时抛出CsvConstraintError', async () => {
+        await assert.rejects(db.insertInto('user').value({id: 1, name: 'dup'}).execute(), CsvConstraintError);
+    });
+
+    await t.test('upsert按键更新或插入，支持CsvFunctions计算值', async () => {
+        const append = CsvFunctions.define('appendSuffix', (row, suffix) => `${row.name}${suffix}`);
+        await db.upsert('user', 'id')
+            .value({id: 1, name: append('!')})
+            .value({id: 4, name: 'new'}, {age: 18})
+            .execute();
+        assert.deepEqual(await db.selectFrom('user').fetch(), [
+            {id: 1, name: 'a,b!', age: 21},
+            {id: 4, name: 'new', age: 18}
+        ]);
+    });
+
+    await t.test('索引和分片表', async () => {
+        await db.create('visit', ['domain', 'count'], {types: {count: 'int'}});
+        await db.insertInto('visit').value({domain: 'a.com', count: 1}).value({domain: 'b.com', count: 2}).execute();
+        assert.equal((await db.selectFrom('visit').eq('domain', 'b.com').fetchOne()).count, 2);
+        await assert.rejects(db.create('v2', ['domain'], {indexes: ['domain']}), /only supported on sharded tables/);
+
+        await db.create('log', ['domain', 'message'], {shard: {key: 'domain', type: 'hash', count: 4}});
+        await db.insertInto('log').value({domain: 'a.com', message: 'x'}).value({domain: 'c.com', message: 'y'}).execute();
+        assert.ok(Array.from(github.files.keys()).some(path => path.startsWith('db/log/part-')));
+        assert.deepEqual((await db.selectFrom('log').eq('domain', 'c.com').fetch()).map(row => row.message), ['y']);
+
+        await assert.rejects(db.create('s', ['id', 'domain'], {primaryKey: 'id', shard: {key: 'domain', type: 'hash', count: 4}}), /must include shard key/);
+        await assert.rejects(db.create('s', ['id', 'domain'], {unique: [['id']], shard: {key: 'domain', type: 'hash', count: 4}}), /must include shard key/);
+        await db.create('s', ['id', 'domain'], {primaryKey: ['domain', 'id'], shard: {key: 'domain', type: 'hash', count: 4}});
+    });
+
+    await t.test('按索引列查询时只读取包含该值的分片', async () => {
+        await db.create('event', ['day', 'user', 'ok'], {types: {ok: 'boolean'}, shard: {key: 'day', type: 'hash', count: 8}, indexes: ['user']});
+        for (let i = 0; i < 8; i++) {
+            await db.insertInto('event').value({day: `d${i}`, user: i === 3 ? 'alice' : `u${i}`, ok: i === 3}).execute();
+        }
+        const shards = Array.from(github.files.keys()).filter(path => path.startsWith('db/event/part-'));
+        assert.ok(shards.length > 2);
+        const shardReads = () => github.requests.filter(request => request.method === 'GET' && request.path.includes('/contents/db/event/part-')).length;
+
+        // 列出分片、读取索引、读取1个分片，不使用索引时需要读取所有分片
+        github.requests.length = 0;
+        assert.deepEqual((await db.selectFrom('event').eq('user', 'alice').fetch()).map(row => row.day), ['d3']);
+        assert.equal(shardReads(), 1);
+        github.requests.length = 0;
+        assert.deepEqual(await db.selectFrom('event').eq('user', 'nobody').fetch(), []);
+        assert.equal(shardReads(), 0);
+        github.requests.length = 0;
+        assert.equal((await db.selectFrom('event').fetch()).length, 8);
+        assert.equal(shardReads(), shards.length);
+
+        // 文件中的 "1" 与查询值true对应同一个索引键
+        const path = shards.find(path => github.files.get(path).includes('alice'));
+        github.commitFile(path, github.files.get(path).replace('alice,true', 'alice,1'));
+        assert.ok(github.files.get(path).includes('alice,1'));
+        await db.dropIndex('event', 'user');
+        assert.equal(await db.createIndex('event', 'ok'), true);
+        github.requests.length = 0;
+        assert.deepEqual((await db.selectFrom('event').eq('ok', true).fetch()).map(row => row.user), ['alice']);
+        assert.equal(shardReads(), 1);
+        assert.ok(!github.files.has('db/event.user.idx'));
+    });
+
+    await t.test('分片在索引之外被修改时查询不会漏掉行', async () => {
+        const path = Array.from(github.files.keys()).find(path => path.startsWith('db/event/part-'));
+        github.commitFile(path, `${github.files.get(path)}\nd9,z,false`);
+        assert.deepEqual((await db.selectFrom('event').eq('ok', false).eq('user', 'z').fetch()).map(row => row.day), ['d9']);
+        await db.deleteFrom('event').eq('ok', false).eq('user', 'z').execute();
+        assert.equal((await db.selectFrom('event').fetch()).length, 8);
+    });
+
+    await t.test('其他客户端修改表结构后使用新的表结构', async (t) => {
+        await db.create('cfg', ['k', 'n'], {types: {n: 'int'}});
+        await db.insertInto('cfg').value({k: 'a', n: 1}).execute();
+        assert.strictEqual((await db.selectFrom('cfg').fetchOne()).n, 1);
+
+        // fresh模式下每次操作都检查表结构
+        github.commitFile('db/cfg.schema.json', JSON.stringify({types: {n: 'int'}, primaryKey: ['k']}));
+        await assert.rejects(csvDb('db', {fresh: true}).insertInto('cfg').value({k: 'a', n: 2}).execute(), CsvConstraintError);
+
+        // 缓存有效期内沿用已确认的表结构，超过后重新检查
+        github.commitFile('db/cfg.schema.json', JSON.stringify({types: {}}));
+        const otherDb = csvDb('db');
+        assert.strictEqual((await otherDb.selectFrom('cfg').fetchOne()).n, 1);
+        t.mock.timers.enable({apis: ['Date'], now: Date.now() + 60 * 1000});
+        assert.strictEqual((await otherDb.selectFrom('cfg').fetchOne()).n, '1');
+    });
+
+    await t.test('SQL查询', async () => {
+        await db.query("INSERT INTO visit (domain, count) VALUES (?, ?), ('c.com', 5)", ['d.com', 4]);
+        assert.deepEqual(await db.query('SELECT domain FROM visit WHERE count >= :min ORDER BY count DESC', {min: 4}),
+            [{domain: 'c.com'}, {domain: 'd.com'}]);
+        await assert.rejects(db.query('SELECT FROM visit'), CsvSqlError);
+    });
+
+    await t.test('写入冲突时重新读取并重试，超过重试次数后抛出CsvConflictError', async (t) => {
+        const realFetch = global.fetch;
+        let interferences = 0;
+        t.after(() => global.fetch = realFetch);
+        global.fetch = async (url, options) => {
+            if (interferences > 0 && options.method === 'PUT' && url.includes('visit.csv')) {
+                interferences--;
+                github.commitFile('db/visit.csv', `${github.files.get('db/visit.csv')}\nx.com,0`);
+            }
+            return realFetch(url, options);
+        };
+
+        interferences = 1;
+        await db.update('visit').eq('domain', 'a.com').set('count', 10).execute();
+        assert.equal((await db.selectFrom('visit').eq('domain', 'a.com').fetchOne()).count, 10);
+        assert.equal((await db.selectFrom('visit').eq('domain', 'x.com').fetch()).length, 1);
+
+        interferences = 10;
+        await assert.rejects(csvDb('db', {retries: 1}).insertInto('visit').value({domain: 'y.com'}).execute(), CsvConflictError);
+    });
+
+    await t.test('校验失败的422不作为冲突重试', async (t) => {
+        const realFetch = global.fetch;
+        t.after(() => global.fetch = realFetch);
+        let puts = 0;
+        global.fetch = async (url, options) => {
+            if (options.method === 'PUT' && url.includes('visit.csv')) {
+                puts++;
+                return new Response(JSON.stringify({message: 'Validation Failed'}), {status: 422});
+            }
+            return realFetch(url, options);
+        };
+        await assert.rejects(db.insertInto('visit').value({domain: 'w.com'}).execute(),
+            error => error.status === 422 && !(error instanceof CsvConflictError));
+        assert.equal(puts, 1);
+    });
+
+    await t.test('创建已存在的文件时抛出带exists标记的422', async (t) => {
+        const realFetch = global.fetch;
+        t.after(() => global.fetch = realFetch);
+        let raced = false;
+        global.fetch = async (url, options) => {
+            if (!raced && options.method === 'PUT' && url.includes('race.csv')) {
+                raced = true;
+                github.commitFile('db/race.csv', 'id');
+            }
+            return realFetch(url, options);
+        };
+        await assert.rejects(db.create('race', ['id']), error => error.status === 422 && error.exists);
+        assert.equal(raced, true);
+    });
+
+    await t.test('事务中的修改作为一个commit提交', async () => {
+        const headBefore = github.headSha;
+        await db.transaction(async tx => {
+            await tx.insertInto('user').value({id: 5, name: 'tx'}).execute();
+            await tx.deleteFrom('visit').eq('domain', 'x.com').execute();
+            assert.equal((await db.selectFrom('user').eq('id', 5).fetch()).length, 0);
+        });
+        assert.notEqual(github.headSha, headBefore);
+        assert.equal((await db.selectFrom('user').eq('id', 5).fetch()).length, 1);
+        assert.equal((await db.selectFrom('visit').eq('domain', 'x.com').fetch()).length, 0);
+
+        await assert.rejects(db.transaction(async tx => {
+            await tx.deleteFrom('user').execute();
+            github.commitFile('other.txt', 'concurrent');
+        }), CsvConflictError);
+        assert.equal((await db.selectFrom('user').fetch()).length, 3);
+    });
+
+    await t.test('onOperation回调每次操作的请求数', async () => {
+        const operations = [];
+        await csvDb('db', {onOperation: operation => operations.push(operation)}).selectFrom('user').fetch();
+        assert.equal(operations.length, 1);
+        assert.deepEqual([operations[0].operation, operations[0].table], ['select', 'user']);
+        assert.ok(operations[0].requests > 0);
+    });
+
+    await t.test('同一存储后端的实例共用表结构检查结果', async () => {
+        const operations = [];
+        const cookieDb = () => csvDb('db', {onOperation: ({operation, requests}) => operations.push(`${operation} ${requests}`)});
+        const headers = ['domain', 'cookies'];
+        await cookieDb().createIfNotExist('ck', headers, {primaryKey: 'domain'});
+        github.commitFile('db/plain.csv', 'k\n1');
+        operations.length = 0;
+
+        // 保存: 建表检查不需要请求，读取和写入表文件各一次
+        await cookieDb().createIfNotExist('ck', headers, {primaryKey: 'domain'});
+        await cookieDb().upsert('ck', 'domain').value({domain: 'a.com', cookies: 'x'}).execute();
+        // 恢复: 只读取表文件
+        await cookieDb().selectFrom('ck').eq('domain', 'a.com').fetchOne();
+        // 没有表结构文件的表只在第一次检查
+        await cookieDb().selectFrom('plain').fetch();
+        await cookieDb().selectFrom('plain').fetch();
+        assert.deepEqual(operations, ['createIfNotExist 0', 'upsert 2', 'select 1', 'select 2', 'select 1']);
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {csvDbEngine} = require('../lib/csv-db.js');
+const {memoryStorage} = require('./fake-github.js');
+
+const {csvDb, memoryBackend, CsvDialect, CsvUtils, CsvDbError} = csvDbEngine({
+    getConfig: async () => ({}),
+    ...memoryStorage()
+});
+
+test('TSV表的读写', async () => {
+    const backend = memoryBackend();
+    const db = csvDb('db', {backend, dialect: 'tsv'});
+    await db.create('t', ['id', 'text'], {primaryKey: 'id'});
+    await db.insertInto('t').value({id: '1', text: 'a,b'}).value({id: '2', text: 'tab\there'}).execute();
+    assert.equal((await backend.read('db/t.csv')).content, 'id\ttext\n1\ta,b\n2\t"tab\there"');
+    assert.deepEqual(await db.selectFrom('t').eq('text', 'tab\there').fetch(), [{id: '2', text: 'tab\there'}]);
+});
+
+test('修改已有文件时保持分隔符、CRLF和BOM', async () => {
+    const backend = memoryBackend({'db/t.csv': '\uFEFFid;name\r\n1;"a;b"\r\n2;c'});
+    const db = csvDb('db', {backend});
+    assert.deepEqual(await db.selectFrom('t').fetch(), [{id: '1', name: 'a;b'}, {id: '2', name: 'c'}]);
+    await db.update('t').eq('id', '2').set('name', 'd').execute();
+    assert.equal((await backend.read('db/t.csv')).content, '\uFEFFid;name\r\n1;"a;b"\r\n2;d');
+
+    await db.alterTable('t').addColumn('extra', 'x').execute();
+    assert.equal((await backend.read('db/t.csv')).content, '\uFEFFid;name;extra\r\n1;"a;b";x\r\n2;d;x');
+});
+
+test('指定的方言字段优先于自动识别', async () => {
+    const backend = memoryBackend({'db/t.csv': 'id,name\n1,a'});
+    await csvDb('db', {backend, dialect: {lineEnding: '\r\n', bom: true}}).insertInto('t').value({id: '2', name: 'b'}).execute();
+    assert.equal((await backend.read('db/t.csv')).content, '\uFEFFid,name\r\n1,a\r\n2,b');
+});
+
+test('自定义引号和转义字符', async () => {
+    const backend = memoryBackend();
+    const db = csvDb('db', {backend, dialect: {quote: "'", escape: '\\'}});
+    await db.create('t', ['id', 'text']);
+    await db.insertInto('t').value({id: '1', text: "it's"}).value({id: '2', text: 'C:\\dir,x'}).execute();
+    assert.equal((await backend.read('db/t.csv')).content, "id,text\n1,'it\\'s'\n2,'C:\\\\dir,x'");
+    assert.deepEqual((await db.selectFrom('t').fetch()).map(row => row.text), ["it's", 'C:\\dir,x']);
+});
+
+test('默认方言不再解释反斜杠转义', () => {
+    assert.deepEqual(CsvUtils.parseCsv('a\\,b,c\\"d'), [['a\\', 'b', 'c\\"d']]);
+});
+
+test('分片表使用同一方言', async () => {
+    const backend = memoryBackend();
+    const db = csvDb('db', {backend, dialect: 'semicolon'});
+    await db.create('s', ['k', 'v'], {shard: {key: 'k', type: 'hash', count: 4}});
+    await db.insertInto('s').value({k: 'x', v: '1;2'}).value({k: 'y', v: '3'}).execute();
+    assert.deepEqual((await db.selectFrom('s').order('k').fetch()).map(row => row.v), ['1;2', '3']);
+});
+
+test('识别已有文件的方言', () => {
+    assert.deepEqual(CsvDialect.detect('a\tb\tc\r\n1\t2\t3'), {...CsvDialect.DEFAULT, delimiter: '\t', lineEnding: '\r\n'});
+    assert.deepEqual(CsvDialect.detect('"a;b",c\n'), CsvDialect.DEFAULT);
+    assert.deepEqual(CsvDialect.detect('\uFEFFa|b'), {...CsvDialect.DEFAULT, delimiter: '|', bom: true});
+    assert.deepEqual(CsvDialect.detect('single'), CsvDialect.DEFAULT);
+    assert.deepEqual(CsvDialect.detect('id,note;a;b\n1,x'), CsvDialect.DEFAULT);
+    assert.deepEqual(CsvDialect.detect('id;price\n1;2,5'), {...CsvDialect.DEFAULT, delimiter: ';'});
+    assert.deepEqual(CsvDialect.detect('a|b,c\n1|2'), {...CsvDialect.DEFAULT, delimiter: '|'});
+});
+
+test('列名包含其他分隔符的逗号文件', async () => {
+    const backend = memoryBackend({'db/t.csv': 'id,note;a;b\n1,x'});
+    for (const dialect of [null, 'csv']) {
+        const db = csvDb('db', {backend, dialect});
+        assert.deepEqual(await db.selectFrom('t').eq('id', '1').fetch(), [{id: '1', 'note;a;b': 'x'}]);
+    }
+    await csvDb('db', {backend, dialect: 'csv'}).insertInto('t').value({id: '2'}).execute();
+    assert.equal((await backend.read('db/t.csv')).content, 'id,note;a;b\n1,x\n2,');
+    assert.deepEqual(CsvDialect.detect('a;b;c\n1;2;3', 'csv').delimiter, ',');
+});
+
+test('无效的方言配置', () => {
+    assert.throws(() => CsvDialect.of('excel2000'), CsvDbError);
+    assert.throws(() => CsvDialect.of({delimiter: '::'}), CsvDbError);
+    assert.throws(() => CsvDialect.of({delimiter: '"'}), CsvDbError);
+    assert.throws(() => CsvDialect.of({lineEnding: '\r'}), CsvDbError);
+    assert.throws(() => csvDb('db', {dialect: {quote: '\n'}}), CsvDbError);
+});
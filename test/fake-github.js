@@ -0,0 +1,311 @@
+// 本地模拟的GitHub API，只实现csvDb用到的Contents API、Commits API和Git Data API
+// 文件内容保存在内存中，sha与GitHub一样为git blob的SHA-1，GET响应带ETag并支持If-None-Match
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const {csvDbEngine} = require('../lib/csv-db.js');
+
+// 超过该大小的文件Contents API不返回内容，需要通过Git Blobs API获取
+const CONTENTS_MAX_SIZE = 1024 * 1024;
+
+function blobSha(content) {
+    const data = Buffer.from(content);
+    return crypto.createHash('sha1')
+        .update(Buffer.concat([Buffer.from(`blob ${data.length}\0`), data]))
+        .digest('hex');
+}
+
+function fakeGitHub() {
+    // 分支head对应的文件 path -> content
+    const files = new Map();
+    const blobs = new Map();
+    // sha -> Map(path -> content)
+    const trees = new Map();
+    // sha -> {tree, parent, date}
+    const commits = new Map();
+    // 收到的请求 [{method, path, headers}]
+    const requests = [];
+    // 依次返回的预设响应 [{status, headers, body}]
+    const injected = [];
+    // 每个仓库请求消耗一次配额，响应带X-RateLimit-*头
+    const quota = {limit: 5000, remaining: 5000, reset: Math.floor(Date.now() / 1000) + 3600};
+    let headSha = null;
+    let sequence = 0;
+
+    function commitFiles(snapshot, parent = headSha, date = new Date()) {
+        const treeSha = `tree${++sequence}`;
+        const commitSha = `commit${++sequence}`;
+        trees.set(treeSha, new Map(snapshot));
+        commits.set(commitSha, {tree: treeSha, parent, date});
+        return commitSha;
+    }
+
+    function moveHead(commitSha) {
+        headSha = commitSha;
+        files.clear();
+        for (const [path, content] of trees.get(commits.get(commitSha).tree)) {
+            files.set(path, content);
+        }
+    }
+
+    moveHead(commitFiles(new Map(), null, new Date(0)));
+
+    function commitEntry(sha) {
+        const commit = commits.get(sha);
+        return {sha, commit: {committer: {date: commit.date.toISOString()}}, parents: commit.parent ? [{sha: commit.parent}] : []};
+    }
+
+    // 从分支head沿parent向前，返回不晚于until的commit，与GitHub一样按时间倒序
+    function commitsList(query) {
+        const until = query.get('until') ? new Date(query.get('until')) : null;
+        const perPage = Number(query.get('per_page') || 30);
+        const result = [];
+        for (let sha = headSha; sha && result.length < perPage; sha = commits.get(sha).parent) {
+            if (!until || commits.get(sha).date <= until) {
+                result.push(commitEntry(sha));
+            }
+        }
+        return [200, result];
+    }
+
+    function snapshotOf(ref) {
+        return ref && commits.has(ref) ? trees.get(commits.get(ref).tree) : files;
+    }
+
+    function fileEntry(path, content) {
+        return {
+            type: 'file',
+            name: path.slice(path.lastIndexOf('/') + 1),
+            path,
+            size: Buffer.byteLength(content),
+            sha: blobSha(content)
+        };
+    }
+
+    function contentsGet(path, ref) {
+        const snapshot = snapshotOf(ref);
+        if (snapshot.has(path)) {
+            const content = snapshot.get(path);
+            const entry = fileEntry(path, content);
+            if (entry.size > CONTENTS_MAX_SIZE) {
+                return [200, {...entry, encoding: 'none', content: ''}];
+            }
+            return [200, {...entry, encoding: 'base64', content: Buffer.from(content).toString('base64').replace(/(.{60})/g, '$1\n')}];
+        }
+        const items = [];
+        for (const [filePath, content] of snapshot) {
+            const name = filePath.slice(path.length + 1);
+            if (filePath.startsWith(`${path}/`) && name !== '') {
+                items.push(name.includes('/')
+                    ? {type: 'dir', name: name.split('/')[0], path: `${path}/${name.split('/')[0]}`}
+                    : fileEntry(filePath, content));
+            }
+        }
+        const unique = Array.from(new Map(items.map(item => [item.path, item])).values());
+        return unique.length ? [200, unique] : [404, {message: 'Not Found'}];
+    }
+
+    function contentsPut(path, body) {
+        const exists = files.has(path);
+        if (exists && !body.sha) {
+            return [422, {message: 'Invalid request.\n\n"sha" wasn\'t supplied.'}];
+        }
+        if (!exists && body.sha) {
+            return [404, {message: 'Not Found'}];
+        }
+        if (exists && body.sha !== blobSha(files.get(path))) {
+            return [409, {message: `${path} does not match ${body.sha}`}];
+        }
+        const content = Buffer.from(body.content, 'base64').toString('utf8');
+        const snapshot = new Map(files);
+        snapshot.set(path, content);
+        moveHead(commitFiles(snapshot));
+        return [exists ? 200 : 201, {content: fileEntry(path, content), commit: {sha: headSha}}];
+    }
+
+    function contentsDelete(path, body) {
+        if (!files.has(path)) {
+            return [404, {message: 'Not Found'}];
+        }
+        if (body.sha !== blobSha(files.get(path))) {
+            return [409, {message: `${path} does not match ${body.sha}`}];
+        }
+        const snapshot = new Map(files);
+        snapshot.delete(path);
+        moveHead(commitFiles(snapshot));
+        return [200, {content: null, commit: {sha: headSha}}];
+    }
+
+    function route(method, pathname, query, body) {
+        const match = pathname.match(/^\/repos\/[^/]+\/[^/]+(\/.*)$/);
+        if (!match) {
+            return [404, {message: 'Not Found'}];
+        }
+        const endpoint = match[1];
+        let m;
+        if ((m = endpoint.match(/^\/contents\/(.+)$/))) {
+            const path = decodeURIComponent(m[1]);
+            if (method === 'GET') return contentsGet(path, query.get('ref'));
+            if (method === 'PUT') return contentsPut(path, body);
+            if (method === 'DELETE') return contentsDelete(path, body);
+        }
+        if (method === 'GET' && endpoint === '/commits') {
+            return commitsList(query);
+        }
+        if (method === 'GET' && (m = endpoint.match(/^\/commits\/(.+)$/))) {
+            const sha = m[1] === 'main' ? headSha : m[1];
+            return commits.has(sha) ? [200, commitEntry(sha)] : [422, {message: `No commit found for SHA: ${m[1]}`}];
+        }
+        if (method === 'GET' && (m = endpoint.match(/^\/git\/blobs\/(.+)$/))) {
+            const content = blobs.get(m[1]) ?? Array.from(files.values()).find(c => blobSha(c) === m[1]);
+            if (content === undefined) {
+                return [404, {message: 'Not Found'}];
+            }
+            return [200, {sha: m[1], encoding: 'base64', content: Buffer.from(content).toString('base64'), size: Buffer.byteLength(content)}];
+        }
+        if (method === 'POST' && endpoint === '/git/blobs') {
+            const content = Buffer.from(body.content, 'base64').toString('utf8');
+            const sha = blobSha(content);
+            blobs.set(sha, content);
+            return [201, {sha}];
+        }
+        if (method === 'GET' && endpoint.startsWith('/git/ref/heads/')) {
+            return [200, {object: {sha: headSha}}];
+        }
+        if (method === 'GET' && (m = endpoint.match(/^\/git\/commits\/(.+)$/))) {
+            return commits.has(m[1]) ? [200, {sha: m[1], tree: {sha: commits.get(m[1]).tree}}] : [404, {message: 'Not Found'}];
+        }
+        if (method === 'POST' && endpoint === '/git/trees') {
+            const snapshot = new Map(trees.get(body.base_tree));
+            for (const entry of body.tree) {
+                if (entry.sha === null) {
+                    snapshot.delete(entry.path);
+                } else {
+                    snapshot.set(entry.path, blobs.get(entry.sha));
+                }
+            }
+            const treeSha = `tree${++sequence}`;
+            trees.set(treeSha, snapshot);
+            return [201, {sha: treeSha}];
+        }
+        if (method === 'POST' && endpoint === '/git/commits') {
+            const commitSha = `commit${++sequence}`;
+            commits.set(commitSha, {tree: body.tree, parent: body.parents[0], date: new Date()});
+            return [201, {sha: commitSha}];
+        }
+        if (method === 'PATCH' && endpoint.startsWith('/git/refs/heads/')) {
+            if (!body.force && commits.get(body.sha).parent !== headSha) {
+                return [422, {message: 'Update is not a fast forward'}];
+            }
+            moveHead(body.sha);
+            return [200, {object: {sha: headSha}}];
+        }
+        return [404, {message: 'Not Found'}];
+    }
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push({method: req.method, path: decodeURIComponent(url.pathname), headers: req.headers});
+            const send = (status, body, headers = {}) => {
+                res.writeHead(status, {
+                    'Content-Type': 'application/json',
+                    'X-RateLimit-Limit': String(quota.limit),
+                    'X-RateLimit-Remaining': String(quota.remaining),
+                    'X-RateLimit-Reset': String(quota.reset),
+                    ...headers
+                });
+                res.end(body === undefined ? '' : JSON.stringify(body));
+            };
+            if (url.pathname === '/rate_limit') {
+                send(200, {resources: {core: quota}});
+                return;
+            }
+            quota.remaining = Math.max(0, quota.remaining - 1);
+            if (injected.length > 0) {
+                const {status, body, headers} = injected.shift();
+                send(status, body, headers);
+                return;
+            }
+            const [status, body] = route(req.method, url.pathname, url.searchParams, raw ? JSON.parse(raw) : null);
+            if (req.method === 'GET' && status === 200) {
+                const etag = `"${crypto.createHash('md5').update(JSON.stringify(body)).digest('hex')}"`;
+                if (req.headers['if-none-match'] === etag) {
+                    send(304, undefined, {ETag: etag});
+                    return;
+                }
+                send(status, body, {ETag: etag});
+                return;
+            }
+            send(status, body);
+        });
+    });
+
+    return {
+        files,
+        requests,
+        quota,
+
+        start() {
+            return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+        },
+
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        },
+
+        // 接下来的times个请求返回指定响应，用于模拟限流、服务端错误等，headers会覆盖X-RateLimit-*头
+        inject(status, body = {}, headers = {}, times = 1) {
+            for (let i = 0; i < times; i++) {
+                injected.push({status, body, headers});
+            }
+        },
+
+        // 模拟其他客户端直接向分支提交，date为commit时间
+        commitFile(path, content, date = new Date()) {
+            const snapshot = new Map(files);
+            if (content === null) {
+                snapshot.delete(path);
+            } else {
+                snapshot.set(path, content);
+            }
+            moveHead(commitFiles(snapshot, headSha, date));
+            return headSha;
+        },
+
+        get headSha() {
+            return headSha;
+        }
+    };
+}
+
+// GM存储的内存实现
+function memoryStorage() {
+    const values = new Map();
+    return {
+        values,
+        GM_getValue: (key, defaultValue) => values.has(key) ? values.get(key) : defaultValue,
+        GM_setValue: (key, value) => values.set(key, JSON.parse(JSON.stringify(value))),
+        GM_deleteValue: key => values.delete(key)
+    };
+}
+
+// 启动模拟服务并创建连接到该服务的csvDb引擎，env覆盖csvDbEngine的参数，默认缩短重试的退避时间
+async function startEngine(env = {}) {
+    const github = fakeGitHub();
+    const apiBaseUrl = await github.start();
+    const storage = memoryStorage();
+    const engine = csvDbEngine({
+        getConfig: async () => ({token: 'test-token', owner: 'owner', repo: 'repo', branch: 'main'}),
+        ...storage,
+        apiBaseUrl,
+        ...env,
+        requestRetry: {baseDelay: 1, maxDelay: 10, ...env.requestRetry}
+    });
+    return {github, storage, engine};
+}
+
+module.exports = {fakeGitHub, memoryStorage, startEngine, blobSha};
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {startEngine, blobSha} = require('./fake-github.js');
+
+test('GitHub文件操作', async (t) => {
+    const {github, engine} = await startEngine();
+    t.after(() => github.close());
+    const {createFile, updateFile, deleteFile, getFile, getFileContent, getFileInfo, listFiles, getAllFiles} = engine;
+
+    await t.test('创建、读取、更新和删除文件', async () => {
+        await createFile('docs/a.txt', '你好\nworld');
+        assert.equal(github.files.get('docs/a.txt'), '你好\nworld');
+        assert.deepEqual(await getFile('docs/a.txt'), {content: '你好\nworld', sha: blobSha('你好\nworld')});
+
+        await updateFile('docs/a.txt', 'v2');
+        assert.equal(await getFileContent('docs/a.txt'), 'v2');
+
+        await deleteFile('docs/a.txt');
+        assert.equal(github.files.has('docs/a.txt'), false);
+    });
+
+    await t.test('文件不存在时抛出404', async () => {
+        await assert.rejects(getFileInfo('missing.csv'), error => error.status === 404);
+        await assert.rejects(updateFile('missing.csv', 'x'), error => error.status === 404);
+    });
+
+    await t.test('传入的sha不是最新版本时抛出409', async () => {
+        await createFile('b.txt', 'v1');
+        const {sha} = await getFileInfo('b.txt');
+        github.commitFile('b.txt', 'changed elsewhere');
+        await assert.rejects(updateFile('b.txt', 'v2', undefined, sha), error => error.status === 409);
+        assert.equal(github.files.get('b.txt'), 'changed elsewhere');
+    });
+
+    await t.test('列出目录下的文件', async () => {
+        await createFile('dir/x.csv', 'a');
+        await createFile('dir/sub/y.csv', 'b');
+        assert.deepEqual((await listFiles('dir')).map(file => file.path), ['dir/x.csv']);
+        assert.deepEqual((await getAllFiles('dir')).map(file => file.path).sort(), ['dir/sub/y.csv', 'dir/x.csv']);
+    });
+
+    await t.test('超过1MB的文件通过Git Blobs API读取', async () => {
+        const content = 'x'.repeat(1024 * 1024 + 1);
+        github.commitFile('big.txt', content);
+        assert.equal(await getFileContent('big.txt'), content);
+        assert.ok(github.requests.some(request => request.path.includes('/git/blobs/')));
+    });
+
+    await t.test('重复读取时发送条件请求，未修改的文件复用缓存', async () => {
+        await createFile('c.txt', 'cached');
+        await getFileContent('c.txt');
+        github.requests.length = 0;
+        assert.equal(await getFileContent('c.txt'), 'cached');
+        assert.ok(github.requests[0].headers['if-none-match']);
+
+        github.commitFile('c.txt', 'updated');
+        assert.equal(await getFileContent('c.txt'), 'updated');
+    });
+
+    await t.test('写入后文件和所在目录的缓存失效', async () => {
+        await createFile('d/e.txt', 'v1');
+        await getFileContent('d/e.txt');
+        await listFiles('d');
+        await updateFile('d/e.txt', 'v2');
+        github.requests.length = 0;
+        assert.equal(await getFileContent('d/e.txt'), 'v2');
+        await listFiles('d');
+        assert.deepEqual(github.requests.map(request => request.headers['if-none-match']), [undefined, undefined]);
+    });
+
+    await t.test('限流响应作为API错误抛出', async () => {
+        github.inject(403, {message: 'API rate limit exceeded'}, {'X-RateLimit-Remaining': '0'});
+        await assert.rejects(getFileInfo('c.txt'), error => error.status === 403 && /rate limit/.test(error.message));
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {csvDbEngine} = require('../lib/csv-db.js');
+const {memoryStorage} = require('./fake-github.js');
+
+const {csvDb, memoryBackend, CsvDbError} = csvDbEngine({
+    getConfig: async () => ({}),
+    ...memoryStorage()
+});
+
+test('包含逗号和引号的列名与数据一样转义', async () => {
+    const backend = memoryBackend();
+    const db = csvDb('db', {backend});
+    await db.create('t', ['id', 'a,b', 'say "hi"']);
+    assert.equal((await backend.read('db/t.csv')).content, 'id,"a,b","say ""hi"""\n');
+
+    await db.insertInto('t').value({id: '1', 'a,b': 'x', 'say "hi"': 'y'}).execute();
+    assert.equal((await backend.read('db/t.csv')).content, 'id,"a,b","say ""hi"""\n1,x,y');
+    assert.deepEqual(await db.selectFrom('t').fetch(), [{id: '1', 'a,b': 'x', 'say "hi"': 'y'}]);
+
+    await db.alterTable('t').renameColumn('a,b', 'c;d').execute();
+    assert.deepEqual(await db.selectFrom('t').fetch(), [{id: '1', 'c;d': 'x', 'say "hi"': 'y'}]);
+});
+
+test('createIfNotExist写入转义后的表头和换行', async () => {
+    const backend = memoryBackend();
+    await csvDb('db', {backend}).createIfNotExist('t', ['id', 'x,y']);
+    assert.equal((await backend.read('db/t.csv')).content, 'id,"x,y"\n');
+});
+
+test('建表时拒绝空列名和重复列名', async () => {
+    const db = csvDb('db', {backend: memoryBackend()});
+    await assert.rejects(db.create('t', []), CsvDbError);
+    await assert.rejects(db.create('t', ['id', '']), /position 2/);
+    await assert.rejects(db.create('t', ['id', '  ']), CsvDbError);
+    await assert.rejects(db.create('t', ['id', 1]), CsvDbError);
+    await assert.rejects(db.createIfNotExist('t', ['id', 'name', 'id']), /Duplicate column name "id"/);
+});
+
+test('修改表结构后列名仍需有效', async () => {
+    const db = csvDb('db', {backend: memoryBackend()});
+    await db.create('t', ['id', 'name']);
+    await assert.rejects(db.alterTable('t').addColumn('').execute(), CsvDbError);
+    await assert.rejects(db.alterTable('t').renameColumn('name', '').execute(), CsvDbError);
+});
+
+test('表头重复的已有文件不会被改写', async () => {
+    const backend = memoryBackend({'db/t.csv': 'id,id\n1,2'});
+    const db = csvDb('db', {backend});
+    await assert.rejects(db.insertInto('t').value({id: '3'}).execute(), /Duplicate column name/);
+    assert.equal((await backend.read('db/t.csv')).content, 'id,id\n1,2');
+});
+
+test('已有的表没有表结构文件时createIfNotExist补写表结构', async () => {
+    const backend = memoryBackend({'db/cookie.csv': 'domain,cookies,extra\na.com,x,1\na.com,y,2'});
+    const db = csvDb('db', {backend});
+    assert.equal(await db.createIfNotExist('cookie', ['domain', 'cookies'], {primaryKey: 'domain'}), false);
+    assert.deepEqual(JSON.parse((await backend.read('db/cookie.schema.json')).content).primaryKey, ['domain']);
+    await assert.rejects(db.insertInto('cookie').value({domain: 'a.com'}).execute(), /primary key/);
+    await db.insertInto('cookie').value({domain: 'b.com'}).execute();
+    assert.equal((await db.selectFrom('cookie').eq('domain', 'b.com').fetch()).length, 1);
+
+    // 补写主键前已有的重复行在upsert时合并为一行
+    const {updatedCount} = await db.upsert('cookie', 'domain').value({domain: 'a.com', cookies: 'z'}).execute();
+    assert.equal(updatedCount, 1);
+    assert.deepEqual(await db.selectFrom('cookie').eq('domain', 'a.com').fetch(), [{domain: 'a.com', cookies: 'z', extra: '1'}]);
+
+    const missing = memoryBackend({'db/t.csv': 'id\n1'});
+    await assert.rejects(csvDb('db', {backend: missing}).createIfNotExist('t', ['id', 'name'], {primaryKey: 'name'}), /does not exist/);
+});
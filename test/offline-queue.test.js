@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {startEngine} = require('./fake-github.js');
+
+test('离线队列', async (t) => {
+    const {github, storage, engine} = await startEngine();
+    t.after(() => github.close());
+    const {csvDb, writeQueue, CsvQueuedError, CsvFunctions} = engine;
+    const db = csvDb('db', {offlineQueue: true});
+    const realFetch = global.fetch;
+    let offline = false;
+    global.fetch = async (url, options) => {
+        if (offline) {
+            throw new TypeError('fetch failed');
+        }
+        return realFetch(url, options);
+    };
+    t.after(() => global.fetch = realFetch);
+
+    await db.create('t', ['id', 'n', 's'], {types: {n: 'int'}, primaryKey: 'id'});
+    await db.insertInto('t').value({id: 'a', n: 1, s: 'x'}).execute();
+    const suffix = CsvFunctions.define('suffix', (row, value) => row.s + value);
+
+    await t.test('网络不可用时修改进入队列，恢复后按顺序重放', async () => {
+        offline = true;
+        await assert.rejects(db.insertInto('t').value({id: 'b', n: 2, s: 'y'}).execute(), CsvQueuedError);
+        await assert.rejects(db.update('t').set('n', 5).or(c => c.eq('id', 'a'), c => c.eq('id', 'zz')).execute(), CsvQueuedError);
+        await assert.rejects(db.upsert('t', 'id').value({id: 'b', s: suffix('!')}).execute(), CsvQueuedError);
+        assert.deepEqual(storage.values.get(writeQueue.STORAGE_KEY).map(entry => entry.operation), ['insertInto', 'update', 'upsert']);
+        assert.equal(await writeQueue.flush(), false);
+
+        offline = false;
+        await db.insertInto('t').value({id: 'c', n: 3, s: 'z'}).execute();
+        assert.deepEqual(await writeQueue.list(), []);
+        assert.deepEqual((await db.selectFrom('t').fetch()).map(row => [row.id, row.n, row.s]),
+            [['a', 5, 'x'], ['b', 2, 'y!'], ['c', 3, 'z']]);
+    });
+
+    await t.test('未通过CsvFunctions定义的计算值不能进入队列', async () => {
+        offline = true;
+        await assert.rejects(db.upsert('t', 'id').value({id: 'b', s: row => row.s}).execute(), /CsvFunctions/);
+        offline = false;
+    });
+
+    await t.test('重放失败的修改保留在队列中，可以重试或丢弃', async () => {
+        offline = true;
+        await assert.rejects(db.insertInto('t').value({id: 'a', n: 9}).execute(), CsvQueuedError);
+        const queued = await db.deleteFrom('t').execute().catch(error => error);
+        offline = false;
+
+        await writeQueue.discard(queued.entry.id);
+        assert.equal(await writeQueue.flush(), true);
+        const [failed] = await writeQueue.list();
+        assert.equal(failed.status, 'failed');
+        assert.match(failed.error, /Duplicate/);
+        assert.equal((await db.selectFrom('t').fetch()).length, 3);
+
+        await db.deleteFrom('t').eq('id', 'a').execute();
+        await writeQueue.retry(failed.id);
+        assert.deepEqual(await writeQueue.list(), []);
+        assert.equal((await db.selectFrom('t').eq('id', 'a').fetchOne()).n, 9);
+    });
+
+    await t.test('服务端错误视为网络不可用', async () => {
+        // GET请求会重试3次，4次503后放弃
+        github.inject(503, {message: 'Service Unavailable'}, {}, 4);
+        await assert.rejects(db.insertInto('t').value({id: 'd'}).execute(), CsvQueuedError);
+        assert.equal(await writeQueue.flush(), true);
+        assert.equal((await db.selectFrom('t').eq('id', 'd').fetch()).length, 1);
+    });
+
+    await t.test('写入请求失败时可能已经生效，不进入队列也不重放', async () => {
+        let failWrites = 1;
+        global.fetch = async (url, options) => {
+            if (offline) {
+                throw new TypeError('fetch failed');
+            }
+            const response = await realFetch(url, options);
+            if (failWrites > 0 && options.method === 'PUT') {
+                failWrites--;
+                return new Response(JSON.stringify({message: 'Bad Gateway'}), {status: 502});
+            }
+            return response;
+        };
+        await assert.rejects(db.insertInto('t').value({id: 'e'}).execute(), error => /may have been applied/.test(error.message));
+        assert.deepEqual(await writeQueue.list(), []);
+        assert.equal((await db.selectFrom('t').eq('id', 'e').fetch()).length, 1);
+
+        offline = true;
+        await assert.rejects(db.insertInto('t').value({id: 'f'}).execute(), CsvQueuedError);
+        offline = false;
+        failWrites = 1;
+        assert.equal(await writeQueue.flush(), true);
+        const [uncertain] = await writeQueue.list();
+        assert.equal(uncertain.status, 'failed');
+        assert.match(uncertain.error, /may have been applied/);
+        assert.equal((await db.selectFrom('t').eq('id', 'f').fetch()).length, 1);
+        await writeQueue.discard(uncertain.id);
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {csvDbEngine} = require('../lib/csv-db.js');
+const {memoryStorage} = require('./fake-github.js');
+
+const {csvDb, memoryBackend} = csvDbEngine({
+    getConfig: async () => ({}),
+    ...memoryStorage()
+});
+
+test('左连接空表时关联字段为null', async () => {
+    const db = csvDb('db', {backend: memoryBackend({'db/u.csv': 'id,name\n1,a', 'db/g.csv': 'uid,role\n'})});
+    assert.deepEqual(await db.selectFrom('u').leftJoin('g', 'id', 'uid').fetch(),
+        [{id: '1', name: 'a', 'g.uid': null, 'g.role': null}]);
+    assert.deepEqual(await db.query('SELECT u.id, g.role FROM u LEFT JOIN g ON u.id = g.uid'), [{id: '1', 'g.role': null}]);
+});
+
+test('IS NULL匹配空单元格', async () => {
+    const db = csvDb('db', {backend: memoryBackend({'db/t.csv': 'id,n\n1,\n2,5\n3,""'})});
+    assert.deepEqual(await db.query('SELECT id FROM t WHERE n IS NULL'), [{id: '1'}, {id: '3'}]);
+    assert.deepEqual(await db.query('SELECT id FROM t WHERE n IS NOT NULL'), [{id: '2'}]);
+    assert.deepEqual(await db.selectFrom('t', 'id').isNull('n').fetch(), [{id: '1'}, {id: '3'}]);
+});
+
+test('COUNT(列)和HAVING中的聚合函数', async () => {
+    const db = csvDb('db', {backend: memoryBackend({'db/v.csv': 'domain,user\na.com,u1\na.com,\nb.com,u2\nc.com,u3\nc.com,u4'})});
+    assert.deepEqual(await db.query('SELECT domain, COUNT(user) FROM v GROUP BY domain ORDER BY domain'),
+        [{domain: 'a.com', count_user: 1}, {domain: 'b.com', count_user: 1}, {domain: 'c.com', count_user: 2}]);
+    assert.deepEqual(await db.query('SELECT domain FROM v GROUP BY domain HAVING COUNT(*) > 1 ORDER BY domain'),
+        [{domain: 'a.com'}, {domain: 'c.com'}]);
+    assert.deepEqual(await db.query('SELECT domain, COUNT(*) AS n FROM v GROUP BY domain HAVING COUNT(*) > 1 AND COUNT(user) > 1'),
+        [{domain: 'c.com', n: 2}]);
+    await assert.rejects(db.query('SELECT domain FROM v WHERE COUNT(*) > 1'), /Expected/);
+});
+
+test('insertInto的execute返回行数，executeReturning返回写入的行', async () => {
+    const db = csvDb('db', {backend: memoryBackend()});
+    await db.create('t', ['id', 'name'], {types: {id: 'int'}, generators: {id: 'autoIncrement'}});
+    assert.strictEqual(await db.insertInto('t').value({name: 'a'}).value({name: 'b'}).execute(), 2);
+    const {affectedCount, insertedRows} = await db.insertInto('t').value({name: 'c'}).executeReturning();
+    assert.equal(affectedCount, 1);
+    assert.deepEqual(insertedRows, [{id: 3, name: 'c'}]);
+    assert.deepEqual((await db.query("INSERT INTO t (name) VALUES ('d')")).insertedRows, [{id: 4, name: 'd'}]);
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {startEngine} = require('./fake-github.js');
+
+test('限流和重试', async (t) => {
+    const {github, engine} = await startEngine();
+    t.after(() => github.close());
+    const {createFile, getFileContent, getFileInfo, updateFile, getRateLimit} = engine;
+    await createFile('a.txt', 'v1');
+
+    await t.test('GET请求在5xx和网络错误时重试', async (t) => {
+        github.inject(502, {message: 'Bad Gateway'}, {}, 2);
+        assert.equal(await getFileContent('a.txt'), 'v1');
+
+        const realFetch = global.fetch;
+        t.after(() => global.fetch = realFetch);
+        let failures = 2;
+        global.fetch = async (url, options) => {
+            if (failures > 0) {
+                failures--;
+                throw new TypeError('fetch failed');
+            }
+            return realFetch(url, options);
+        };
+        assert.equal(await getFileContent('a.txt'), 'v1');
+        assert.equal(failures, 0);
+    });
+
+    await t.test('超过重试次数后抛出错误', async () => {
+        github.inject(500, {message: 'Server Error'}, {}, 4);
+        await assert.rejects(getFileContent('a.txt'), error => error.status === 500);
+    });
+
+    await t.test('写入请求在5xx时不重试', async () => {
+        const {sha} = await getFileInfo('a.txt');
+        github.inject(503, {message: 'Service Unavailable'});
+        await assert.rejects(updateFile('a.txt', 'v2', undefined, sha), error => error.status === 503);
+        assert.equal(github.files.get('a.txt'), 'v1');
+    });
+
+    await t.test('被限流的请求等待Retry-After后重试，包括写入请求', async () => {
+        github.inject(429, {message: 'You have exceeded a secondary rate limit'}, {'Retry-After': '0'});
+        await updateFile('a.txt', 'v2');
+        assert.equal(github.files.get('a.txt'), 'v2');
+    });
+
+    await t.test('剩余配额较少时延后发送请求', async () => {
+        const reset = Math.floor(Date.now() / 1000) + 1;
+        // 预设响应只用于更新配额
+        github.inject(404, {message: 'Not Found'}, {'X-RateLimit-Remaining': '1', 'X-RateLimit-Reset': String(reset)});
+        await assert.rejects(getFileContent('missing.txt'), error => error.status === 404);
+        const expectedDelay = reset * 1000 - Date.now();
+        const start = Date.now();
+        await getFileContent('a.txt');
+        assert.ok(Date.now() - start >= expectedDelay - 50);
+    });
+
+    await t.test('查询当前配额', async () => {
+        github.quota.remaining = 1234;
+        assert.equal((await getRateLimit()).remaining, 1234);
+    });
+});
+
+test('配额用完且重置时间超过maxWait时直接抛出错误', async (t) => {
+    const {github, engine} = await startEngine({requestRetry: {maxWait: 1000}});
+    t.after(() => github.close());
+    const {createFile, getFileContent} = engine;
+    await createFile('a.txt', 'v1');
+
+    const reset = String(Math.floor(Date.now() / 1000) + 3600);
+    github.inject(403, {message: 'API rate limit exceeded'}, {'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': reset});
+    await assert.rejects(getFileContent('a.txt'), error => error.status === 403 && error.rateLimit.remaining === 0);
+
+    // 配额重置前不再发送请求
+    const count = github.requests.length;
+    await assert.rejects(getFileContent('a.txt'), error => error.status === 403);
+    assert.equal(github.requests.length, count);
+});
+
+test('剩余配额较少且距离重置很久时仍然发送请求', async (t) => {
+    const {github, engine} = await startEngine({requestRetry: {maxWait: 200}});
+    t.after(() => github.close());
+    const {createFile, getFileContent} = engine;
+    await createFile('a.txt', 'v1');
+
+    const reset = String(Math.floor(Date.now() / 1000) + 3600);
+    github.inject(404, {message: 'Not Found'}, {'X-RateLimit-Remaining': '40', 'X-RateLimit-Reset': reset});
+    await assert.rejects(getFileContent('missing.txt'), error => error.status === 404);
+    const start = Date.now();
+    assert.equal(await getFileContent('a.txt'), 'v1');
+    const elapsed = Date.now() - start;
+    // 间隔按maxWait截断
+    assert.ok(elapsed >= 150 && elapsed < 1000, `elapsed ${elapsed}`);
+});
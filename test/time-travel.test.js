@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {startEngine, memoryStorage} = require('./fake-github.js');
+const {csvDbEngine} = require('../lib/csv-db.js');
+
+test('历史查询', async (t) => {
+    const {github, engine} = await startEngine();
+    t.after(() => github.close());
+    const {csvDb, CsvDbError} = engine;
+    const db = csvDb('db');
+
+    github.commitFile('db/u.csv', 'id,name,age\n1,a,20\n2,b,30', new Date('2024-01-01T00:00:00Z'));
+    const first = github.headSha;
+    github.commitFile('db/u.csv', 'id,name,age\n1,a,21\n2,b,30\n3,c,40', new Date('2024-02-01T00:00:00Z'));
+    github.commitFile('db/g.csv', 'uid,group\n1,x\n3,y', new Date('2024-02-01T00:00:00Z'));
+    const second = github.headSha;
+    await db.update('u').set('name', 'A').eq('id', '1').execute();
+
+    await t.test('按commit SHA查询', async () => {
+        assert.deepEqual(await db.selectFrom('u').asOf(first).fetch(),
+            [{id: '1', name: 'a', age: '20'}, {id: '2', name: 'b', age: '30'}]);
+        assert.equal((await db.selectFrom('u').eq('id', '1').fetchOne()).name, 'A');
+    });
+
+    await t.test('按时间查询时取该时间之前最近的commit', async () => {
+        assert.equal((await db.selectFrom('u').asOf(new Date('2024-01-15T00:00:00Z')).fetch()).length, 2);
+        assert.equal((await db.selectFrom('u').asOf('2024-03-01').fetch()).length, 3);
+        assert.equal((await db.selectFrom('u').asOf(Date.parse('2024-02-01T00:00:00Z')).eq('id', '1').fetchOne()).name, 'a');
+        await assert.rejects(db.selectFrom('u').asOf(new Date('1969-01-01')).fetch(), CsvDbError);
+    });
+
+    await t.test('过滤、排序、分页和关联作用于历史版本', async () => {
+        const rows = await db.selectFrom('u', 'id', 'age').gt('age', '20').order('age', true).limit(2).asOf(second).fetch();
+        assert.deepEqual(rows, [{id: '3', age: '40'}, {id: '2', age: '30'}]);
+        const joined = await db.selectFrom('u').join('g', 'id', 'uid').asOf(second).fetch();
+        assert.deepEqual(joined.map(row => [row.name, row['g.group']]), [['a', 'x'], ['c', 'y']]);
+        await assert.rejects(db.selectFrom('u').join('g', 'id', 'uid').asOf(first).fetch(), error => error.status === 404);
+    });
+
+    await t.test('历史查询只上报一次操作', async () => {
+        const operations = [];
+        await csvDb('db', {onOperation: operation => operations.push(operation)}).selectFrom('u').asOf(first).fetch();
+        assert.deepEqual(operations.map(operation => operation.operation), ['select']);
+        assert.ok(operations[0].requests > 0);
+    });
+
+    await t.test('找不到commit时报错', async () => {
+        await assert.rejects(db.selectFrom('u').asOf('deadbeef').fetch(), /Commit "deadbeef" not found/);
+        assert.throws(() => db.selectFrom('u').asOf(null), CsvDbError);
+    });
+});
+
+test('不支持历史查询的后端', async () => {
+    const {csvDb, memoryBackend} = csvDbEngine({getConfig: async () => ({}), ...memoryStorage()});
+    const db = csvDb('db', {backend: memoryBackend({'db/t.csv': 'id\n1'})});
+    await assert.rejects(db.selectFrom('t').asOf('HEAD~1').fetch(), /not supported/);
+});